@@ -7,8 +7,12 @@
  * One use case is cleaning up dirty imported content
  * that often has ludicrously redundant masking.
  *
+ * A dry run lists every group, clipping group and clipping
+ * path that would be removed or released, without changing the document,
+ * and can export the list as JSON or CSV, for review.
+ *
  * @author m1b
- * @version 2025-06-30
+ * @version 2026-10-19
  */
 (function () {
 
@@ -20,6 +24,13 @@
         removeClippingPaths: true,
         removeGroups: true,
         showUI: true,
+
+        // when true, nothing is removed: the list of what
+        // would be changed is written to `reportFile` instead
+        dryRun: false,
+
+        // the dry run report file, ending ".json" or ".csv"
+        reportFile: '',
     };
 
     // private settings:
@@ -54,6 +65,20 @@
 
     }
 
+    if (settings.dryRun) {
+
+        var removals = getRemovals(settings);
+
+        if (!settings.reportFile)
+            return alert('Dry run: ' + removals.length + ' items would be changed.');
+
+        if (!writeReportFile(File(settings.reportFile), removals, doc.name))
+            alert('Could not write the report to "' + settings.reportFile + '".');
+
+        return;
+
+    }
+
     // traverse the depths, starting deep
     for (var d = settings.groupsByDepth.length - 1, groups; d >= 0; d--) {
 
@@ -159,7 +184,13 @@ function ui(settings) {
         removeClippingGroupsCheckbox = checkboxes.add("Checkbox { text:'Remove Clipping Groups', alignment:'left', value:true }"),
         removeClippingPathsCheckbox = checkboxes.add("Checkbox { text:'Remove Clipping Paths', alignment:'left', value:true }"),
 
+        // dry run listbox
+        removalsListBox = wrapper.add("ListBox {alignment:'fill', preferredSize: [480,180], properties:{multiselect:false, showHeaders:true, numberOfColumns:6, columnTitles:['Depth','Type','Action','Name','Layer','Children'], columnWidths:[45,90,120,90,80,55]} }"),
+        removalsText = wrapper.add('statictext { text: "", alignment:["fill","top"] }'),
+
         buttons = w.add("Group {orientation:'row', alignment:['right','top'], margins:[10,10,10,10] }"),
+        dryRunButton = buttons.add('button', undefined, 'Dry Run'),
+        exportButton = buttons.add('button', undefined, 'Export...'),
         cancelButton = buttons.add('button', undefined, 'Cancel', { name: 'cancel' }),
         removeButton = buttons.add('button', undefined, 'Remove', { name: 'ok' });
 
@@ -176,6 +207,8 @@ function ui(settings) {
     removeGroupsCheckbox.onClick = update;
     removeClippingGroupsCheckbox.onClick = update;
     removeClippingPathsCheckbox.onClick = update;
+    dryRunButton.onClick = dryRun;
+    exportButton.onClick = exportRemovals;
     removeButton.onClick = apply;
 
     update();
@@ -205,11 +238,29 @@ function ui(settings) {
             || (removeClippingGroupsCheckbox.value && clippingMaskCount > 0)
         );
 
+        dryRunButton.enabled = removeButton.enabled;
+        exportButton.enabled = removeButton.enabled;
+
+        // the dry run list is out of date now
+        removalsListBox.removeAll();
+        removalsText.text = 'Click Dry Run to list what would be changed.';
+
     };
 
     function apply() {
 
-        // update settings object
+        updateSettings();
+
+        // return approval code
+        w.close(1);
+
+    };
+
+    /**
+     * Updates the settings object from the ui.
+     */
+    function updateSettings() {
+
         settings.removeClippingGroups = removeClippingGroupsCheckbox.value;
         settings.removeClippingPaths = removeClippingPathsCheckbox.value;
         settings.removeGroups = removeGroupsCheckbox.value;
@@ -218,8 +269,49 @@ function ui(settings) {
         for (var i = 0; i < (groupsListBox.selection || []).length; i++)
             settings.depths.push(groupsListBox.selection[i].index);
 
-        // return approval code
-        w.close(1);
+    };
+
+    /**
+     * Lists what would be changed, without changing the document.
+     */
+    function dryRun() {
+
+        updateSettings();
+
+        var removals = getRemovals(settings);
+
+        removalsListBox.removeAll();
+
+        for (var i = 0, menuItem; i < removals.length; i++) {
+            menuItem = removalsListBox.add('item', String(removals[i].depth));
+            menuItem.subItems[0].text = removals[i].type;
+            menuItem.subItems[1].text = removals[i].action;
+            menuItem.subItems[2].text = removals[i].name;
+            menuItem.subItems[3].text = removals[i].layer;
+            menuItem.subItems[4].text = undefined == removals[i].children ? '' : String(removals[i].children);
+        }
+
+        removalsText.text = removals.length + ' items would be changed.';
+
+    };
+
+    /**
+     * Asks for a file, then writes what would be changed, as JSON or CSV.
+     */
+    function exportRemovals() {
+
+        var file = File.saveDialog('Export dry run', 'JSON:*.json,CSV:*.csv');
+
+        if (!file)
+            return;
+
+        if (!/\.(json|csv)$/i.test(file.name))
+            file = File(file.fsName + '.json');
+
+        updateSettings();
+
+        if (!writeReportFile(file, getRemovals(settings), app.activeDocument.name))
+            alert('Could not write the report to "' + file.fsName + '".');
 
     };
 
@@ -261,6 +353,242 @@ function ui(settings) {
 
 };
 
+/**
+ * Returns a record of each group, clipping group and clipping
+ * path that would be removed or released with these `settings`, in order of
+ * their group's depth. Nothing is changed. Depths are counted from 1, as
+ * shown in the ui; a clipping path is one deeper than its group.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Object} settings
+ * @param {Array<Array<GroupItem>>} settings.groupsByDepth - the groups, indexed by depth.
+ * @param {Array<Number>} [settings.depths] - the depth indices to remove (default: all).
+ * @param {Boolean} settings.removeGroups - whether to ungroup groups.
+ * @param {Boolean} settings.removeClippingGroups - whether to release clipping groups.
+ * @param {Boolean} settings.removeClippingPaths - whether to delete clipping paths.
+ * @returns {Array<Object>} - { depth, type, action, name, layer, children, uuid }, where `children` is undefined for clipping paths.
+ */
+function getRemovals(settings) {
+
+    var removals = [];
+
+    for (var d = 0, groups; d < settings.groupsByDepth.length; d++) {
+
+        if (
+            settings.depths
+            && -1 === indexOfArray(settings.depths, d)
+        )
+            // nothing to do at this depth
+            continue;
+
+        groups = settings.groupsByDepth[d] || [];
+
+        for (var i = 0, group, mask; i < groups.length; i++) {
+
+            group = groups[i];
+
+            if (group.clipped) {
+
+                mask = group.pageItems.length > 0 ? group.pageItems[0] : undefined;
+
+                if (settings.removeClippingGroups)
+                    addRemoval(group, d + 1, 'Clipping Group', settings.removeGroups ? 'Release and ungroup' : 'Release clipping mask');
+
+                if (
+                    settings.removeClippingPaths
+                    && undefined != mask
+                )
+                    addRemoval(mask, d + 2, 'Clipping Path', 'Delete');
+
+            }
+
+            else if (settings.removeGroups)
+                addRemoval(group, d + 1, 'Group', 'Ungroup');
+
+        }
+
+    }
+
+    return removals;
+
+    /**
+     * Adds a record of `item` to the removals.
+     * @param {PageItem} item - the item to be removed.
+     * @param {Number} depth - the item's depth, counted from 1.
+     * @param {String} type - the kind of item.
+     * @param {String} action - what will be done to it.
+     */
+    function addRemoval(item, depth, type, action) {
+
+        removals.push({
+            depth: depth,
+            type: type,
+            action: action,
+            name: item.name,
+            layer: item.layer.name,
+            children: 'GroupItem' === item.typename ? item.pageItems.length : undefined,
+            uuid: item.uuid,
+        });
+
+    };
+
+};
+
+/**
+ * Writes the removals to `file`, as CSV when the file name
+ * ends ".csv", otherwise as JSON.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {File} file - the file to write.
+ * @param {Array<Object>} removals - the records, from `getRemovals`.
+ * @param {String} [documentName] - the document's name, included in JSON.
+ * @returns {Boolean} - true when the file was written.
+ */
+function writeReportFile(file, removals, documentName) {
+
+    var text;
+
+    if (/\.csv$/i.test(file.name)) {
+
+        var keys = ['depth', 'type', 'action', 'name', 'layer', 'children', 'uuid'],
+            rows = [['Depth', 'Type', 'Action', 'Name', 'Layer', 'Children', 'UUID'].join(',')];
+
+        for (var i = 0, row; i < removals.length; i++) {
+
+            row = [];
+
+            for (var k = 0; k < keys.length; k++)
+                row.push(getCSVValue(removals[i][keys[k]]));
+
+            rows.push(row.join(','));
+
+        }
+
+        text = rows.join('\n');
+
+    }
+
+    else {
+
+        text = stringifyJSON({
+            document: documentName,
+            count: removals.length,
+            removals: removals,
+        });
+
+    }
+
+    file.encoding = 'UTF-8';
+
+    if (!file.open('w'))
+        return false;
+
+    var written = file.write(text);
+    file.close();
+
+    return written;
+
+    /**
+     * Returns `value` as a CSV value, quoted when necessary.
+     * @param {*} value
+     * @returns {String}
+     */
+    function getCSVValue(value) {
+
+        if (undefined == value)
+            return '';
+
+        value = String(value);
+
+        if (/[",\n\r]/.test(value))
+            value = '"' + value.replace(/"/g, '""') + '"';
+
+        return value;
+
+    };
+
+};
+
+/**
+ * Returns `obj` as a JSON string.
+ * ExtendScript has no JSON object, so this handles
+ * the basic types: Object, Array, String, Number,
+ * Boolean and null. Functions and undefined values
+ * are left out of objects.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {*} obj - the thing to stringify.
+ * @param {String} [indent] - @private parameter, the current indentation.
+ * @returns {String}
+ */
+function stringifyJSON(obj, indent) {
+
+    indent = indent || '';
+
+    var innerIndent = indent + '    ',
+        parts = [];
+
+    if (
+        null === obj
+        || undefined === obj
+        || 'function' === typeof obj
+    )
+        return 'null';
+
+    else if ('number' === typeof obj)
+        return isFinite(obj) ? String(obj) : 'null';
+
+    else if ('boolean' === typeof obj)
+        return String(obj);
+
+    else if ('string' === typeof obj)
+        return '"' + obj.replace(/[\\"\x00-\x1f]/g, escapeCharacter) + '"';
+
+    else if ('Array' === obj.constructor.name) {
+
+        if (0 === obj.length)
+            return '[]';
+
+        for (var i = 0; i < obj.length; i++)
+            parts.push(innerIndent + stringifyJSON(obj[i], innerIndent));
+
+        return '[\n' + parts.join(',\n') + '\n' + indent + ']';
+
+    }
+
+    for (var key in obj) {
+
+        if (
+            !obj.hasOwnProperty(key)
+            || undefined === obj[key]
+            || 'function' === typeof obj[key]
+        )
+            continue;
+
+        parts.push(innerIndent + stringifyJSON(key) + ': ' + stringifyJSON(obj[key], innerIndent));
+
+    }
+
+    if (0 === parts.length)
+        return '{}';
+
+    return '{\n' + parts.join(',\n') + '\n' + indent + '}';
+
+    /**
+     * Returns the JSON escape sequence for a character.
+     * @param {String} ch - the character.
+     * @returns {String}
+     */
+    function escapeCharacter(ch) {
+
+        var escapes = { '"': '\\"', '\\': '\\\\', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+
+        return escapes[ch] || '\\u' + ('0000' + ch.charCodeAt(0).toString(16)).slice(-4);
+
+    };
+
+};
+
 /** ------------------------------------------------------------------- *
  *  GET ITEMS                                                           *
  * -------------------------------------------------------------------- *
@@ -7,10 +7,27 @@
  * Look at the `settings` object below for explanations
  * of the different parameters.
  *
+ * To run without the dialog (eg. from an Action or a batch
+ * job) either put the options in a JSON file next to this
+ * script, named "Distribute Items.json", or set them in
+ * `$.global.distributeItemsOptions` before including this
+ * script. Options not supplied use the usual defaults. eg.
+ *
+ *    { "spread": 4, "damping": 0.9, "radius": 30, "maxSteps": 200,
+ *      "maxIterations": 1, "keepWithinBounds": false, "container": "artboard" }
+ *
+ * When run this way, the script returns a JSON summary of the
+ * items it moved, also available as `$.global.distributeItemsResult`
+ * and written to `reportFile`, if that option is supplied.
+ *
  * @author m1b
- * @version 2025-07-24
+ * @version 2026-10-19
  * @discussion https://community.adobe.com/t5/illustrator-discussions/overlapping-objects/m-p/14967266#M426166
  */
+// the name of the tag marking the leader lines drawn by this script;
+// a var, not a const, so that running the script again can redeclare it
+var LEADER_LINES_TAG_NAME = 'distributeItemsLeaderLines';
+
 (function () {
 
     var doc = app.activeDocument,
@@ -25,9 +42,22 @@
     // this isn't necessary, but I wondered if it might help
     // items.sort(sortByLeft);
 
-    var points = getCenters(items);
-    var medianDistanceApart = getMedianDistanceBetween(points);
-    var medianItemSize = getMedianSize(items);
+    // these measurements are only used to guess the default settings, so
+    // measure text frames quickly, by their geometric bounds; each
+    // distribution measures the items again, according to `fastBounds`
+    startBoundsCache(items, true);
+
+    try {
+        var points = getCenters(items);
+        var containerItem = getContainerItem(items);
+        var pathItem = getPathItem(items);
+        var medianDistanceApart = getMedianDistanceBetween(points);
+        var medianItemSize = getMedianSize(items);
+    }
+
+    finally {
+        endBoundsCache();
+    }
 
     // adjust the below object to suit your needs
     var settings = {
@@ -35,39 +65,195 @@
         // the items to distribute
         items: items,
 
+        // the distribution algorithm: 'force' (simulate a spreading force), 'lloyd' (relax towards even coverage),
+        // 'path' (place along `pathItem`) or 'scatter' (fill the container path, or the artboard, with copies of the items)
+        algorithm: 'force',
+
+        // the number of relaxation iterations, when `algorithm` is 'lloyd'
+        lloydIterations: 20,
+
+        // measure text frames by their geometric bounds, rather than outlining them (faster, but approximate)
+        fastBounds: false,
+
+        // distribute 'all' the items together, or separately per 'artboard' or per parent 'group'
+        scope: 'all',
+
+        // the topmost selected path, which the items may be placed along, when `algorithm` is 'path'
+        pathItem: pathItem,
+
+        // when placing along the path, keep the items' order along the path (otherwise use the selection order)
+        keepPathOrder: true,
+
+        // when placing along the path, rotate each item to the path's direction
+        rotateToPath: false,
+
+        // the topmost selected closed path, which may be used as the container
+        containerItem: containerItem,
+
+        // when scattering, the number of copies
+        scatterCount: 100,
+
+        // when scattering, the minimum distance between the copies' centers, in points (0 means the median item size)
+        scatterSpacing: 0,
+
+        // when scattering, the weight of each item, in selection order, eg. '3, 1, 1' (leave empty for equal weights)
+        scatterWeights: '',
+
+        // when scattering, each copy is rotated by a random angle in this range, in degrees
+        scatterRotationMin: 0,
+        scatterRotationMax: 0,
+
+        // when scattering, each copy is scaled by a random amount in this range (1 means 100%)
+        scatterScaleMin: 1,
+        scatterScaleMax: 1,
+
         // the spread force (I'm using median distance, in points, as a guess)
         spread: medianDistanceApart / 8,
 
         // the force is scaled by this at each step
         damping: 0.95,
 
+        // each item is pulled back towards its original position by this (0 means no pull, 1 means full pull)
+        anchorStiffness: 0,
+
         // items further apart than this value, in points, will be ignored
         radius: medianItemSize * 1.5,
 
+        // how the force weakens with distance: 'constant', 'linear', 'inverseSquare' or 'gaussian'
+        falloff: 'constant',
+
         // the number of steps applied (higher steps mean a more settled distribution)
         maxSteps: 100,
 
         // the number of times the distribution algorithm is re-applied to the points
-        // (usually 1 is enough, but higher values can be very effective when `keepWithinBounds` is true)
+        // (usually 1 is enough, but higher values can be very effective when keeping within bounds)
         maxIterations: 1,
 
         // a scale applied to the entire points distribution
         scaleFactor: 1,
 
-        // this will scale the distributed points to fit in the original points' bounds
-        keepWithinBounds: false,
+        // scale the distributed points to fit in the original points' bounds:
+        // 'none', 'stretch' (scale width and height separately), 'fit' (preserve the aspect ratio)
+        // or 'pad' (preserve the aspect ratio, inside the bounds inset by `boundsPadding`)
+        keepWithinBounds: 'none',
+
+        // when `keepWithinBounds` is 'pad', the inner padding, in points
+        boundsPadding: 0,
+
+        // repel items using their bounds, rather than just their centers
+        sizeAware: false,
+
+        // the shape used when `sizeAware` is true: 'rectangle' (the item's bounds) or 'circle' (enclosing the item's bounds)
+        repulsionShape: 'rectangle',
+
+        // when `sizeAware` is true, items are pushed apart until they are at least this far apart, in points
+        minimumGap: 0,
+
+        // keep the items inside a container: 'none', 'artboard' (the active artboard) or 'path' (the topmost selected closed path)
+        container: 'none',
+
+        // what happens to an item that crosses the container's edge: 'clamp' (stop at the edge) or 'reflect' (bounce back inside)
+        containerBehaviour: 'clamp',
+
+        // the direction of the spread: 'both', 'x' (horizontal only), 'y' (vertical only) or 'angle' (along `axisAngle`)
+        axis: 'both',
+
+        // when `axis` is 'angle', the direction of the spread, in degrees (0 is horizontal)
+        axisAngle: 0,
+
+        // the force is multiplied by these, horizontally and vertically (eg. to spread wider than tall)
+        forceMultiplierX: 1,
+        forceMultiplierY: 1,
+
+        // pinned items repel the other items, but don't move themselves
+        pinLockedItems: true,
+
+        // items on this layer are pinned (leave empty for none)
+        pinLayerName: '',
+
+        // items whose names start with this are pinned (leave empty for none)
+        pinNamePrefix: '',
+
+        // unselected items on the active artboard repel the distributed items, but don't move
+        useObstacles: false,
+
+        // items closer than this, in points, are treated as stacked in the same place
+        coincidentTolerance: 0.01,
+
+        // stacked items are separated, and scattered copies placed, using this seed (the same seed always gives the same result)
+        seed: 1,
+
+        // stop early when no item moves further than this, in points, in a step (0 means always do every step)
+        convergenceThreshold: 0.01,
+
+        // when a distribution is stopped: 'keep' (leave the items at the last computed state) or 'revert' (move them back to their original positions)
+        stopBehaviour: 'keep',
+
+        // after distributing, snap the items to a lattice: 'none', 'square' or 'hex'
+        lattice: 'none',
+
+        // the distance between lattice cells, in points (0 means the median item size)
+        latticePitch: 0,
+
+        // finish by separating any items whose bounds are closer than `overlapGap`
+        resolveOverlaps: false,
+
+        // when resolving overlaps, the minimum gap between items' bounds, in points
+        overlapGap: 0,
+
+        // when resolving overlaps, give up after this many passes
+        maxOverlapPasses: 100,
+
+        // draw a line from each moved item's original center to its new bounds
+        leaderLines: false,
+
+        // the layer for leader lines (the lines previously drawn there are replaced; nothing else on it is touched)
+        leaderLayerName: 'Leader Lines',
+
+        // the leader lines' stroke width, in points
+        leaderStrokeWidth: 0.5,
+
+        // the leader lines' stroke color, as a gray percentage
+        leaderStrokeGray: 100,
+
+        // no leader line is drawn for items that moved less than this, in points
+        leaderThreshold: 1,
+
+        // only compare items in neighbouring grid cells (turn off to compare every pair of items)
+        useSpatialGrid: true,
 
         // turn this to false to apply these settings without showing UI
         showUI: true,
 
     };
 
+    // options from a sidecar file, or set before including this script, bypass the UI
+    var headlessOptions = getHeadlessOptions();
+
+    if (headlessOptions) {
+
+        validateOptions(headlessOptions);
+
+        for (var key in headlessOptions)
+            if (headlessOptions.hasOwnProperty(key))
+                settings[key] = headlessOptions[key];
+
+        settings.showUI = false;
+
+    }
+
     if (settings.showUI) {
 
         settings.doNotShowWarning = false;
 
+        // the bounds of the points, used when estimating the number of operations
+        settings.pointsBounds = getPointsBounds(points);
+
+        // the largest item dimension, used when estimating the number of size-aware operations
+        settings.largestItemSize = getLargestSize(items);
+
         // the center position, used when scaling
-        settings.center = centerOfBounds(getPointsBounds(points));
+        settings.center = centerOfBounds(settings.pointsBounds);
 
         // the distribution function
         settings.doFunction = distributeItems;
@@ -80,26 +266,81 @@
 
     }
 
-    else
+    else {
+
         // perform with no UI
-        distributeItems(settings);
+        var summary = distributeItems(settings);
+
+        if (headlessOptions)
+            return reportSummary(summary, headlessOptions.reportFile);
+
+    }
 
 })();
 
 /**
- * Distribute items by simulating a `spread` force between them
- * over `maxStep` iterations, with `damping` at each iteration.
+ * Distribute items, according to `options.algorithm`: by simulating
+ * a `spread` force between them over `maxStep` iterations, with
+ * `damping` at each iteration ('force'), by Lloyd relaxation
+ * ('lloyd'), by placing them along a path ('path'), or by filling
+ * a region with copies of them ('scatter'). With a `scope` other
+ * than 'all', each set of items is distributed separately. The
+ * points may then be snapped to a lattice, any overlaps resolved,
+ * and leader lines drawn.
  * @author m1b
- * @version 2024-11-11
+ * @version 2026-10-19
  * @param {Object} options
  * @param {Array<PageItem>} options.items - the items to distribute.
  * @param {Number} [options.spread] - the repulsive force between points, controlling the spread between points (default: 0.5).
  * @param {Number} [options.damping] - the damping of the force at each iteration (default: 0.3).
+ * @param {Number} [options.anchorStiffness] - the pull of each point back towards its original position, 0..1 (default: 0, no pull).
  * @param {Number} [options.radius] - the distance beyond which no distribution is necessary (default: 100).
+ * @param {String} [options.falloff] - how the force weakens with distance: 'constant', 'linear', 'inverseSquare' or 'gaussian' (default: 'constant').
  * @param {Number} [options.maxSteps] - the number of settling steps; higher number makes a more even, settled distribution (default: 500).
  * @param {Number} [options.scaleFactor] - a scale factor applied to the distrubuted points (default: 1, no scaling).
  * @param {Number} [options.maxIterations] - the number of iterations (default: 1).
- * @param {Boolean} [options.keepWithinBounds] - whether to scale distributed points to keep within the original bounds (default: false).
+ * @param {String|Boolean} [options.keepWithinBounds] - how to scale distributed points to keep within the original bounds: 'none', 'stretch', 'fit' or 'pad'; true means 'stretch' (default: 'none').
+ * @param {Number} [options.boundsPadding] - when `keepWithinBounds` is 'pad', the inner padding, in points (default: 0).
+ * @param {Boolean} [options.useSpatialGrid] - whether to compare only points in neighbouring grid cells (default: true).
+ * @param {Boolean} [options.sizeAware] - whether to repel items using their bounds, rather than their centers (default: false).
+ * @param {String} [options.repulsionShape] - when `sizeAware`, the shape of each item: 'rectangle' or 'circle' (default: 'rectangle').
+ * @param {Number} [options.minimumGap] - when `sizeAware`, the gap, in points, to keep between items (default: 0).
+ * @param {String} [options.container] - keep the items inside 'none', 'artboard' or 'path' (default: 'none').
+ * @param {PathItem} [options.containerItem] - the closed path used when `container` is 'path'; it won't be distributed.
+ * @param {String} [options.containerBehaviour] - 'clamp' or 'reflect' items that cross the container's edge (default: 'clamp').
+ * @param {String} [options.axis] - the direction of the spread: 'both', 'x', 'y' or 'angle' (default: 'both').
+ * @param {Number} [options.axisAngle] - when `axis` is 'angle', the direction of the spread, in degrees (default: 0).
+ * @param {Number} [options.forceMultiplierX] - the horizontal force is multiplied by this (default: 1).
+ * @param {Number} [options.forceMultiplierY] - the vertical force is multiplied by this (default: 1).
+ * @param {Boolean} [options.pinLockedItems] - whether locked items stay in place (default: true).
+ * @param {String} [options.pinLayerName] - items on the layer with this name stay in place (default: none).
+ * @param {String} [options.pinNamePrefix] - items whose names start with this stay in place (default: none).
+ * @param {Boolean} [options.useObstacles] - whether unselected items on the active artboard repel the items (default: false).
+ * @param {Number} [options.coincidentTolerance] - items closer than this, in points, are treated as stacked (default: 0.01).
+ * @param {Number} [options.seed] - the seed used to separate stacked items (default: 1).
+ * @param {Number} [options.convergenceThreshold] - stop early when no item moves further than this in a step; 0 means do every step (default: 0.01).
+ * @param {Function} [options.shouldStop] - called between steps; return true to stop the distribution (default: never stop).
+ * @param {String} [options.stopBehaviour] - when stopped, 'keep' the last computed state or 'revert' to `options.positions` (default: 'keep').
+ * @param {Array<point>} [options.positions] - the original positions of `options.items`, used when reverting.
+ * @param {String} [options.algorithm] - 'force' to simulate a spreading force, 'lloyd' to relax towards even coverage, 'path' to place the items along `pathItem`, or 'scatter' to fill a region with copies of the items (see `scatterItems`) (default: 'force').
+ * @param {Number} [options.lloydIterations] - when `algorithm` is 'lloyd', the number of relaxation iterations (default: 20).
+ * @param {String} [options.lattice] - after distributing, snap the items to a 'square' or 'hex' lattice, or 'none' (default: 'none').
+ * @param {Number} [options.latticePitch] - the distance between lattice cells, in points (default: the median item size).
+ * @param {Boolean} [options.resolveOverlaps] - whether to finish by separating any items closer than `overlapGap` (default: false).
+ * @param {Number} [options.overlapGap] - when resolving overlaps, the minimum gap between items' bounds, in points (default: 0).
+ * @param {Number} [options.maxOverlapPasses] - when resolving overlaps, give up after this many passes (default: 100).
+ * @param {Boolean} [options.leaderLines] - whether to draw a line from each moved item's original center to its new bounds (default: false).
+ * @param {String} [options.leaderLayerName] - the name of the layer for leader lines; the lines previously drawn there are removed (default: 'Leader Lines').
+ * @param {Number} [options.leaderStrokeWidth] - the leader lines' stroke width, in points (default: 0.5).
+ * @param {Number} [options.leaderStrokeGray] - the leader lines' stroke color, as a gray percentage (default: 100).
+ * @param {Number} [options.leaderThreshold] - no leader line is drawn for items that moved less than this, in points (default: 1).
+ * @param {String} [options.scope] - 'all' distributes the items together, 'artboard' separately per artboard, keeping each on its artboard (in place of `container`), and 'group' separately per parent group, distributing the children of selected groups (default: 'all').
+ * @param {Array<PageItem>} [options.selectedItems] - the whole selection, none of which are obstacles, when distributing a set of it (default: `options.items`).
+ * @param {Number} [options.artboardIndex] - the artboard used by the 'artboard' container and by obstacles (default: the active artboard).
+ * @param {Boolean} [options.fastBounds] - whether to measure text frames by their geometric bounds, rather than outlining them; faster, but approximate (default: false).
+ * @param {Object} [options.rotations] - when `algorithm` is 'path', the rotation already made to each item by an earlier placement, by uuid (see `distributeItemsAlongPath`).
+ * @returns {Object} - the result: { stepsUsed: Number, totalSteps: Number, converged: Boolean, stopped: Boolean, moved: Array<Object>, overlapsRemaining: Number?, unsnapped: Number? },
+ *   where `moved` has, for each moved item: { name, uuid, from: original center, to: new center, displacement, nearestDistance: distance to the nearest other item's center }.
  */
 function distributeItems(options) {
 
@@ -108,858 +349,5578 @@ function distributeItems(options) {
     if (!options.items)
         throw new Error('distributeItems: bad `items` supplied.');
 
-    var items = options.items,
-        points = options.points = getCenters(items);
-
-    // calculate the distributed points
-    var distributedPoints = distributePoints(options);
-
-    // apply the new item positions
-    for (var i = 0, item, dx, dy; i < items.length; i++) {
-
-        item = items[i],
-            dx = item.left - points[i][0],
-            dy = item.top - points[i][1];
+    // measure each item only once during this run
+    var ownsBoundsCache = startBoundsCache(options.items, options.fastBounds);
 
-        item.position = [
-            distributedPoints[i][0] + dx,
-            distributedPoints[i][1] + dy,
-        ];
+    try {
+        return distributeMeasuredItems(options);
+    }
 
+    finally {
+        // even when the distribution fails, so that the next run measures afresh
+        if (ownsBoundsCache)
+            endBoundsCache();
     }
 
 };
 
 /**
- * Distribute points by simulating a `spread` force between them.
- * Performs `maxStep` iterations, with `damping` at each iteration.
- * More iterations tend to provide a more even, settled, distribution.
+ * Distributes the items, as described by `distributeItems`,
+ * while the bounds cache is started.
  * @author m1b
- * @version 2024-11-15
- * @param {Object} options
- * @param {Array<PageItem>} options.items - the items to distribute.
- * @param {Number} options.spread - the spreading force; larger number means further apart
- * @param {Array<point>} options.points - array of items' points [x, y] to distribute.
- * @param {Number} [options.spread] - the repulsive force between points, controlling the spread between points (default: 0.5).
- * @param {Number} [options.damping] - the damping of the force at each iteration (default: 0.3).
- * @param {Number} [options.radius] - the distance beyond which no distribution is necessary (default: 100).
- * @param {Number} [options.maxSteps] - the number of iterations; higher number tends to provide a more even, settled, distribution (default: 500).
- * @param {Number} [options.scaleFactor] - a scale factor applied to the distrubuted points (default: 1, no scaling).
- * @param {Number} [options.maxIterations] - the number of iterations (default: 1).
- * @param {Boolean} [options.keepWithinBounds] - whether to scale distributed points to keep within the original bounds (default: false).
- * @returns {Array<point>}
+ * @version 2026-10-19
+ * @param {Object} options - the `distributeItems` options.
+ * @returns {Object} - the result, as described by `distributeItems`.
  */
-function distributePoints(options) {
+function distributeMeasuredItems(options) {
 
-    options = options || {};
+    if ('scatter' === options.algorithm) {
 
-    var maxIterations = options.maxIterations || 1,
-        points = copyPoints(options.points),
-        spread = options.spread || 0.5,
-        damping = options.damping || 0.3,
-        radius = options.radius || 100,
-        maxSteps = options.maxSteps || 500,
-        scaleFactor = options.scaleFactor || 1,
-        bounds = options.keepWithinBounds || 1 != scaleFactor ? getPointsBounds(points) : undefined;
+        // fill the region with copies of the items, instead
+        var result = scatterItems(options);
 
-    // progress bar
-    var pb = options.pb,
-        updateInterval = Math.floor(maxSteps / 10),
-        nextUpdate = updateInterval;
+        addItemStats(result.moved);
 
-    for (var k = 0; k < maxIterations; k++) {
+        return result;
 
-        for (var step = 0, point, otherPoint, forceX, forceY, dx, dy, distance, spread, spreadAmount; step < maxSteps; step++) {
+    }
 
-            if (pb && nextUpdate === step) {
-                pb.update(step);
-                nextUpdate += updateInterval;
-            }
+    if ('path' === options.algorithm) {
 
-            for (var i = 0; i < points.length; i++) {
+        // the centers before moving, for leader lines
+        var centers = options.leaderLines && !options.positions ? getCenters(options.items) : undefined;
 
-                point = points[i];
-                forceX = 0;
-                forceY = 0;
+        // place the items along the path, instead
+        var result = distributeItemsAlongPath(options);
 
-                for (var j = 0; j < points.length; j++) {
+        addItemStats(result.moved);
 
-                    if (i === j)
-                        // don't compare to self
-                        continue;
+        if (options.leaderLines)
+            drawLeaderLines(options.items, options, centers);
 
-                    otherPoint = points[j];
-                    dx = point[0] - otherPoint[0];
-                    dy = point[1] - otherPoint[1];
-                    distance = Math.sqrt(dx * dx + dy * dy);
+        return result;
 
-                    if (
-                        distance > 0
-                        && distance < radius
-                    ) {
-                        // assign a repulsion
-                        spreadAmount = spread / distance;
-                        forceX += spreadAmount * dx;
-                        forceY += spreadAmount * dy;
-                    }
+    }
 
-                }
+    if (
+        options.scope
+        && 'all' !== options.scope
+    ) {
 
-                // update point
-                point[0] += damping * forceX;
-                point[1] += damping * forceY;
+        // distribute each set of items separately
+        return distributeItemsInScopes(options);
 
-            }
+    }
 
-        }
+    var items = options.items;
 
-        if (options.keepWithinBounds) {
-            // scale points to fit within original bounds
-            points = scalePointsToBoundingBox(points, bounds)
-        }
+    if (
+        'path' === options.container
+        && options.containerItem
+    ) {
 
-        else if (1 != scaleFactor) {
-            // scale points by scaleFactor
-            points = scalePoints(points, scaleFactor, options.center);
-        }
+        // the container itself is not distributed
+        items = [];
 
-    }
+        for (var i = 0; i < options.items.length; i++)
+            if (options.items[i].uuid !== options.containerItem.uuid)
+                items.push(options.items[i]);
 
-    if (pb && nextUpdate === step) {
-        pb.update(maxSteps * maxIterations);
-        nextUpdate += updateInterval;
     }
 
-    return points;
+    var points = getCenters(items),
+        fixed = getPinnedFlags(items, options),
+        obstacles = options.useObstacles ? getObstacles(options.selectedItems || options.items, options.leaderLayerName, options.artboardIndex) : [];
 
-};
+    // obstacles are added after the items, and never move
+    options.points = points.concat(getCenters(obstacles));
+    options.fixed = fixed;
 
-/**
- * Estimates the spread value based on the median distance between `points`.
- * @author m1b
- * @version 2024-11-11
- * @param {Array<point>} points - array of points [x, y].
- * @param {Number} [max] - the number of measurements (default: all).
- * @returns {Number}
- */
-function getMedianDistanceBetween(points, max) {
+    for (var i = 0; i < obstacles.length; i++)
+        options.fixed.push(true);
 
-    max = max || 2000;
+    // the container, as a polygon
+    options.containerPolygon = getContainerPolygon(options.container, options.containerItem, options.artboardIndex);
 
-    var distances = [];
+    if (options.sizeAware)
+        // the half width and half height of each item
+        options.sizes = getHalfSizes(items).concat(getHalfSizes(obstacles));
+    else
+        delete options.sizes;
 
-    // calculate the distances
-    for (var i = 0, test = 0; i < points.length - 1; i++) {
+    if (options.containerPolygon)
+        // so that the whole of each item stays inside the container
+        options.containerSizes = options.sizes || getHalfSizes(items).concat(getHalfSizes(obstacles));
+    else
+        delete options.containerSizes;
 
-        if (test > max)
-            break;
+    // calculate the distributed points
+    var distributedPoints = 'lloyd' === options.algorithm
+        ? relaxPoints(options)
+        : distributePoints(options);
 
-        for (var j = i + 1, dx, dy; j < points.length; j++, test++) {
+    var totalSteps = 'lloyd' === options.algorithm
+        ? options.lloydIterations || 20
+        : (options.maxSteps || 500) * (options.maxIterations || 1);
 
-            dx = points[i][0] - points[j][0];
-            dy = points[i][1] - points[j][1];
-            distances.push(Math.sqrt(dx * dx + dy * dy));
+    if (
+        options.stopped
+        && 'revert' === options.stopBehaviour
+    ) {
 
-        }
+        // move every item back to where it started
+        if (options.positions)
+            for (var i = 0; i < options.items.length; i++)
+                options.items[i].position = options.positions[i];
+
+        return {
+            stepsUsed: options.stepsUsed,
+            totalSteps: totalSteps,
+            converged: false,
+            stopped: true,
+            moved: [],
+        };
 
     }
 
-    // sort
-    distances.sort();
+    var unsnapped;
 
-    return getMedianValue(distances);
+    if (
+        options.lattice
+        && 'none' !== options.lattice
+    )
+        // tidy the points onto a lattice
+        unsnapped = snapPointsToLattice(distributedPoints, options.fixed, options.lattice, options.latticePitch || getMedianSize(items), options.containerPolygon);
 
-};
+    // a record of each item moved
+    var moved = [];
 
-/**
- * Returns array of diagonal `sizes` of `items`.
- * `size` is the diagonal dimension of each item's bounds.
- * @param {Array<PageItem>} items - the items.
- * @returns {Number}
- */
-function getMedianSize(items) {
+    // apply the new item positions
+    for (var i = 0, item, dx, dy; i < items.length; i++) {
 
-    var sizes = [];
+        if (fixed[i])
+            // pinned item
+            continue;
 
-    for (var i = 0, item, size; i < items.length; i++) {
+        item = items[i],
+            dx = item.left - points[i][0],
+            dy = item.top - points[i][1];
 
-        item = items[i];
-        size = Math.sqrt(item.width * item.height);
-        sizes.push(size);
+        item.position = [
+            distributedPoints[i][0] + dx,
+            distributedPoints[i][1] + dy,
+        ];
+
+        moved.push({
+            name: item.name,
+            uuid: item.uuid,
+            from: points[i],
+            to: distributedPoints[i],
+        });
 
     }
 
-    return getMedianValue(sizes);
+    var overlapsRemaining;
 
-};
+    if (options.resolveOverlaps) {
 
-/**
- * Returns median value of an array of numbers.
- * @author m1b
- * @version 2024-11-11
- * @param {Array<Number>} values - array of numbers.
- * @returns {Number}
- */
-function getMedianValue(values) {
+        // separate any items still too close
+        var resolved = resolveOverlaps(items.concat(obstacles), options.fixed, options.overlapGap || 0, options.maxOverlapPasses || 100, options);
 
-    values.sort(function (a, b) { return a - b; });
+        overlapsRemaining = resolved.remaining;
 
-    var median,
-        mid = Math.floor(values.length / 2);
+        // include the separation in the record
+        for (var i = 0, n = 0; i < items.length; i++) {
 
-    // get middle element, or an average of the two middle elements
-    if (values.length % 2 === 0)
-        median = (values[mid - 1] + values[mid]) / 2;
-    else
-        median = values[mid];
+            if (fixed[i])
+                continue;
 
-    return median;
+            moved[n].to = [moved[n].to[0] + resolved.offsets[i][0], moved[n].to[1] + resolved.offsets[i][1]];
+            n++;
 
-};
+        }
 
-/**
- * Returns array of center points [cx, cy] of items.
- * @author m1b
- * @version 2024-09-14
- * @param {Array<PageItem>} items - the items.
- * @returns {Array<point>}
- */
-function getCenters(items) {
+    }
 
-    var centers = [];
+    // the items that didn't move are neighbours, too
+    var unmovedPoints = [];
 
-    for (var i = 0; i < items.length; i++)
-        centers[i] = centerOfBounds(getItemBounds(items[i]), false);
+    for (var i = 0; i < distributedPoints.length; i++)
+        if (options.fixed[i])
+            unmovedPoints.push(distributedPoints[i]);
 
-    return centers;
+    addItemStats(moved, unmovedPoints);
+
+    if (options.leaderLines)
+        drawLeaderLines(items, options, points);
+
+    return {
+        stepsUsed: options.stepsUsed,
+        totalSteps: totalSteps,
+        converged: options.converged,
+        stopped: options.stopped,
+        moved: moved,
+        overlapsRemaining: overlapsRemaining,
+        unsnapped: unsnapped,
+    };
 
 };
 
 /**
- * Returns point at center of bounds.
- * Works with Illustrator or Indesign bounds.
+ * Separates any items whose bounds are closer than `gap`, moving
+ * each pair apart along the axis needing the shortest move. Fixed
+ * items don't move, so their partner moves the whole distance.
+ * Passes are repeated until no pair is too close, or `maxPasses`
+ * is reached. Pairs are always visited in the same order, so the
+ * result is repeatable. As in `distributePoints`, the items can be
+ * kept on their axes, and inside a container, after each pass.
  * @author m1b
- * @version 2024-11-14
- * @param {Array<Number>} bounds - a bounds array.
- * @returns {point} - point [x, y].
+ * @version 2026-10-19
+ * @param {Array<PageItem>} items - the items to separate.
+ * @param {Array<Boolean>} [fixed] - items flagged true don't move.
+ * @param {Number} [gap] - the minimum gap between items' bounds, in points (default: 0).
+ * @param {Number} [maxPasses] - the maximum number of passes (default: 100).
+ * @param {Object} [constraints]
+ * @param {String} [constraints.axis] - keep each item on the 'x', 'y' or 'angle' axis through its center, or 'both' (default: 'both').
+ * @param {Number} [constraints.axisAngle] - when `axis` is 'angle', the axis angle, in degrees (default: 0).
+ * @param {Array<point>} [constraints.containerPolygon] - keep each item inside this polygon.
+ * @returns {Object} - { remaining: Number, offsets: Array<point> }, where `remaining` is the number of pairs still too close, and `offsets` is each item's move [dx, dy].
  */
-function centerOfBounds(bounds) {
+function resolveOverlaps(items, fixed, gap, maxPasses, constraints) {
+
+    fixed = fixed || [];
+    gap = gap || 0;
+    maxPasses = maxPasses || 100;
+    constraints = constraints || {};
+
+    // overlaps smaller than this are just rounding errors
+    const TOLERANCE = 0.001;
+
+    var axis = constraints.axis || 'both',
+        axisVector = getAxisVector(axis, constraints.axisAngle),
+        containerPolygon = constraints.containerPolygon,
+        bounds = [],
+        origins = [],
+        offsets = [],
+        largest = 0,
+        remaining = 0;
+
+    for (var i = 0; i < items.length; i++) {
+        bounds[i] = getItemBounds(items[i]).slice();
+        origins[i] = [(bounds[i][0] + bounds[i][2]) / 2, (bounds[i][1] + bounds[i][3]) / 2];
+        offsets[i] = [0, 0];
+        largest = Math.max(largest, bounds[i][2] - bounds[i][0], bounds[i][1] - bounds[i][3]);
+    }
 
-    if (/indesign/i.test(app.name))
+    // any two items too close have centers within this distance on each axis
+    var cellSize = Math.max(0.001, largest + gap);
 
-        return [
-            (bounds[1] + bounds[3]) / 2,
-            (bounds[0] + bounds[2]) / 2
-        ];
+    for (var pass = 0; pass < maxPasses; pass++) {
 
-    else if (/illustrator/i.test(app.name))
+        var centers = [];
 
-        return [
-            (bounds[0] + bounds[2]) / 2,
-            (bounds[1] + bounds[3]) / 2
-        ];
+        for (var i = 0; i < bounds.length; i++)
+            centers[i] = [(bounds[i][0] + bounds[i][2]) / 2, (bounds[i][1] + bounds[i][3]) / 2];
 
-};
+        var grid = getSpatialGrid(centers, cellSize);
 
-/**
- * Returns bounds of item(s).
- * @author m1b
- * @version 2024-03-10
- * Attempts to get correct bounds
- * of clipped groups.
- * @param {PageItem|Array<PageItem>} item - an Illustrator PageItem or array of PageItems.
- * @param {Boolean} [geometric] - if false, returns visible bounds.
- * @param {Array} [bounds] - @private parameter, used when recursing.
- * @returns {Array} - the calculated bounds.
- */
-function getItemBounds(item, geometric, bounds) {
+        remaining = 0;
 
-    var newBounds = [],
-        boundsKey = geometric ? 'geometricBounds' : 'visibleBounds';
+        for (var i = 0; i < bounds.length; i++) {
 
-    if (undefined == item)
-        return;
+            var neighbours = getSpatialGridNeighbours(grid, centers[i], cellSize).sort(function (a, b) { return a - b; });
 
-    if (
-        item.typename == 'GroupItem'
-        || item.constructor.name == 'Array'
-    ) {
+            for (var n = 0, j; n < neighbours.length; n++) {
 
-        var children = item.typename == 'GroupItem' ? item.pageItems : item,
-            contentBounds = [],
-            isClippingGroup = (item.hasOwnProperty('clipped') && item.clipped == true),
-            clipBounds;
+                j = neighbours[n];
 
-        for (var i = 0, child; i < children.length; i++) {
+                if (
+                    j <= i
+                    || (fixed[i] && fixed[j])
+                )
+                    continue;
 
-            child = children[i];
+                // expand one bounds by the gap, so that touching means too close
+                var expanded = [bounds[i][0] - gap, bounds[i][1] + gap, bounds[i][2] + gap, bounds[i][3] - gap];
 
-            if (
-                child.hasOwnProperty('clipping')
-                && true === child.clipping
-            )
-                // the clipping item
-                clipBounds = child.geometricBounds;
+                if (!boundsDoIntersectIllustrator(expanded, bounds[j]))
+                    continue;
 
-            else
-                contentBounds.push(getItemBounds(child, geometric, bounds));
+                var overlapX = Math.min(expanded[2], bounds[j][2]) - Math.max(expanded[0], bounds[j][0]),
+                    overlapY = Math.min(expanded[1], bounds[j][1]) - Math.max(expanded[3], bounds[j][3]);
+
+                if (
+                    overlapX <= TOLERANCE
+                    || overlapY <= TOLERANCE
+                )
+                    // only touching
+                    continue;
+
+                remaining++;
+
+                // move along the shortest axis, away from the other item
+                var dx = 0,
+                    dy = 0;
+
+                if (
+                    'x' === axis
+                    || ('y' !== axis && overlapX <= overlapY)
+                )
+                    dx = (centers[j][0] < centers[i][0] ? 1 : -1) * overlapX;
+                else
+                    dy = (centers[j][1] < centers[i][1] ? 1 : -1) * overlapY;
+
+                // share the move, unless one item is fixed
+                var shareI = fixed[i] ? 0 : (fixed[j] ? 1 : 0.5),
+                    shareJ = 1 - shareI;
+
+                moveBounds(i, dx * shareI, dy * shareI);
+                moveBounds(j, -dx * shareJ, -dy * shareJ);
+
+                centers[i] = [(bounds[i][0] + bounds[i][2]) / 2, (bounds[i][1] + bounds[i][3]) / 2];
+                centers[j] = [(bounds[j][0] + bounds[j][2]) / 2, (bounds[j][1] + bounds[j][3]) / 2];
+
+            }
 
         }
 
-        newBounds = combineBounds(contentBounds);
+        if (0 === remaining)
+            break;
 
-        if (isClippingGroup)
-            newBounds = intersectionOfBounds([clipBounds, newBounds]);
+        if (
+            axisVector
+            || containerPolygon
+        )
+            constrainBounds();
 
     }
 
-    else if (item.typename == 'TextFrame') {
+    if (remaining > 0)
+        // the last pass moved items, so count again
+        remaining = countOverlaps();
 
-        // get bounds of outlined text
-        var dup = item.duplicate().createOutline();
-        newBounds = dup[boundsKey];
-        dup.remove();
+    // move the items
+    for (var i = 0; i < items.length; i++)
+        if (0 !== offsets[i][0] || 0 !== offsets[i][1])
+            items[i].translate(offsets[i][0], offsets[i][1]);
 
-    }
+    return {
+        remaining: remaining,
+        offsets: offsets,
+    };
 
-    else if (item.hasOwnProperty(boundsKey)) {
+    /**
+     * Moves the bounds of item `i` by [dx, dy].
+     * @param {Number} i - the item index.
+     * @param {Number} dx
+     * @param {Number} dy
+     */
+    function moveBounds(i, dx, dy) {
 
-        newBounds = item[boundsKey];
+        bounds[i][0] += dx;
+        bounds[i][1] += dy;
+        bounds[i][2] += dx;
+        bounds[i][3] += dy;
+        offsets[i][0] += dx;
+        offsets[i][1] += dy;
 
-    }
+    };
 
-    // `bounds` will exist if this is a recursive execution
-    bounds = (undefined == bounds)
-        ? bounds = newBounds
-        : bounds = combineBounds([newBounds, bounds]);
+    /**
+     * Moves each item back onto its axis, and inside the container,
+     * the same way that `distributePoints` constrains its points.
+     */
+    function constrainBounds() {
 
-    return bounds;
+        for (var i = 0, center, constrained; i < bounds.length; i++) {
 
-};
+            if (fixed[i])
+                continue;
 
-/**
- * Returns the combined bounds of all bounds supplied.
- * Works with Illustrator or Indesign bounds.
- * @author m1b
- * @version 2024-03-09
- * @param {Array<bounds>} boundsArray - an array of bounds [L, T, R, B] or [T, L , B, R].
- * @returns {bounds} - the combine bounds.
- */
-function combineBounds(boundsArray) {
+            center = [(bounds[i][0] + bounds[i][2]) / 2, (bounds[i][1] + bounds[i][3]) / 2];
+            constrained = center.slice();
 
-    var combinedBounds = boundsArray[0].slice(),
-        comparator;
+            if (axisVector)
+                projectPointsOntoAxis([constrained], [origins[i]], axis, axisVector);
 
-    if (/indesign/i.test(app.name))
-        comparator = [Math.min, Math.min, Math.max, Math.max];
-    else if (/illustrator/i.test(app.name))
-        comparator = [Math.min, Math.max, Math.max, Math.min];
+            if (containerPolygon)
+                constrainPointToPolygon(constrained, containerPolygon, false, [(bounds[i][2] - bounds[i][0]) / 2, (bounds[i][1] - bounds[i][3]) / 2]);
 
-    // Iterate through the rest of the bounds
-    for (var i = 1; i < boundsArray.length; i++) {
+            moveBounds(i, constrained[0] - center[0], constrained[1] - center[1]);
 
-        var bounds = boundsArray[i];
-        combinedBounds[0] = comparator[0](combinedBounds[0], bounds[0]);
-        combinedBounds[1] = comparator[1](combinedBounds[1], bounds[1]);
-        combinedBounds[2] = comparator[2](combinedBounds[2], bounds[2]);
-        combinedBounds[3] = comparator[3](combinedBounds[3], bounds[3]);
+        }
 
-    }
+    };
 
-    return combinedBounds;
+    /**
+     * Returns the number of pairs of items too close.
+     * @returns {Number}
+     */
+    function countOverlaps() {
+
+        var count = 0;
+
+        for (var i = 0; i < bounds.length; i++) {
+
+            var expanded = [bounds[i][0] - gap, bounds[i][1] + gap, bounds[i][2] + gap, bounds[i][3] - gap];
+
+            for (var j = i + 1; j < bounds.length; j++) {
+
+                if (
+                    (fixed[i] && fixed[j])
+                    || !boundsDoIntersectIllustrator(expanded, bounds[j])
+                )
+                    continue;
+
+                if (
+                    Math.min(expanded[2], bounds[j][2]) - Math.max(expanded[0], bounds[j][0]) > TOLERANCE
+                    && Math.min(expanded[1], bounds[j][1]) - Math.max(expanded[3], bounds[j][3]) > TOLERANCE
+                )
+                    count++;
+
+            }
+
+        }
+
+        return count;
+
+    };
 
 };
 
 /**
- * Returns the overlapping rectangle
- * of two or more rectangles.
- * NOTE: Returns undefined if ANY
- * rectangles do not intersect.
+ * Adds to each record of a moved item its `displacement`, when it
+ * has a `from` point, and the distance from its new center to the
+ * nearest other center, `nearestDistance` (undefined when there
+ * are no other items). Neighbours are found using a spatial grid.
  * @author m1b
- * @version 2022-07-24
- * @param {Array} arrayOfBounds - an array of bounds arrays [l, t, r, b].
- * @returns {Array} - bounds array [l, t, r, b] of overlap.
+ * @version 2026-10-19
+ * @param {Array<Object>} moved - the records: { from: point?, to: point }.
+ * @param {Array<point>} [unmovedPoints] - the centers of any items that didn't move.
+ * @returns {Array<Object>} - the same records.
  */
-function intersectionOfBounds(arrayOfBounds) {
+function addItemStats(moved, unmovedPoints) {
 
-    // sort a copy of array
-    var bounds = arrayOfBounds
-        .slice(0)
-        .sort(function (a, b) { return b[0] - a[0] || a[1] - b[1] });
+    var points = [];
 
-    // start with first bounds
-    var intersection = bounds.shift(),
-        b;
+    for (var i = 0; i < moved.length; i++)
+        points[i] = moved[i].to;
 
-    // compare each bounds, getting smaller
-    while (b = bounds.shift()) {
+    if (unmovedPoints)
+        points = points.concat(unmovedPoints);
 
-        // if doesn't intersect, bail out
-        if (!boundsDoIntersectIllustrator(intersection, b))
-            return;
+    // cells about the size of the average spacing, so
+    // that the nearest point is usually close by
+    var bounds = getPointsBounds(points),
+        width = bounds[2] - bounds[0],
+        height = bounds[3] - bounds[1],
+        cellSize = Math.max(Math.sqrt(width * height / Math.max(1, points.length)), width / points.length, height / points.length, 0.001),
+        maxRing = Math.ceil(Math.max(width, height) / cellSize) + 1,
+        grid = getSpatialGrid(points, cellSize);
 
-        var l = Math.max(intersection[0], b[0]),
-            t = Math.min(intersection[1], b[1]),
-            r = Math.min(intersection[2], b[2]),
-            b = Math.max(intersection[3], b[3]);
+    for (var i = 0, dx, dy, nearest; i < moved.length; i++) {
 
-        intersection = [l, t, r, b];
+        if (moved[i].from) {
+            dx = moved[i].to[0] - moved[i].from[0];
+            dy = moved[i].to[1] - moved[i].from[1];
+            moved[i].displacement = Math.sqrt(dx * dx + dy * dy);
+        }
+
+        nearest = getNearestIndex(grid, points, points[i], cellSize, maxRing, i);
+
+        if (-1 === nearest) {
+            moved[i].nearestDistance = undefined;
+            continue;
+        }
+
+        dx = points[nearest][0] - points[i][0];
+        dy = points[nearest][1] - points[i][1];
+        moved[i].nearestDistance = Math.sqrt(dx * dx + dy * dy);
 
     }
 
-    return intersection;
+    return moved;
 
 };
 
 /**
- * Returns true if the two bounds intersect.
+ * Returns the minimum, median and maximum of `values`,
+ * ignoring any that are undefined.
  * @author m1b
- * @version 2024-03-10
- * @param {Array} bounds1 - bounds array.
- * @param {Array} bounds2 - bounds array.
- * @returns {Boolean}
+ * @version 2026-10-19
+ * @param {Array<Number>} values - the values.
+ * @returns {Object?} - { min: Number, median: Number, max: Number }, or undefined if there are no values.
  */
-function boundsDoIntersectIllustrator(bounds1, bounds2) {
+function getStatistics(values) {
 
-    return (
-        bounds2[0] > bounds1[2]
-        || bounds2[1] < bounds1[3]
-        || bounds2[2] < bounds1[0]
-        || bounds2[3] > bounds1[1]
-    );
+    var sorted = [];
+
+    for (var i = 0; i < values.length; i++)
+        if (undefined != values[i])
+            sorted.push(values[i]);
+
+    if (0 === sorted.length)
+        return;
+
+    // getMedianValue sorts the values
+    var median = getMedianValue(sorted);
+
+    return {
+        min: sorted[0],
+        median: median,
+        max: sorted[sorted.length - 1],
+    };
 
 };
 
 /**
- * Shows UI for Distribute Items.
+ * Writes a CSV report of the moved items, with a row for each item:
+ * its name, uuid, original and new centers, displacement and
+ * distance to its nearest neighbour, in `unit`.
  * @author m1b
- * @version 2024-11-15
- * @param {Object} settings - the settings to adjust via UI.
- * @returns {1|2} - result code
+ * @version 2026-10-19
+ * @param {File} file - the file to write.
+ * @param {Array<Object>} moved - the records of the moved items, from `distributeItems`.
+ * @param {String} [unit] - the unit abbreviation for distances (default: 'pt').
+ * @returns {Boolean} - true when the file was written.
  */
-function ui(settings) {
+function writeReportFile(file, moved, unit) {
 
-    var reset = {
-        spread: settings.spread,
-        damping: settings.damping,
-        maxSteps: settings.maxSteps,
-        scaleFactor: settings.scaleFactor,
-        maxIterations: settings.maxIterations,
-        radius: settings.radius,
-    };
+    unit = unit || 'pt';
 
-    // keep track of the number of operations
-    var ops = 0;
+    var pointsPerUnit = getPointsPerUnit(unit),
+        suffix = ' (' + unit + ')',
+        rows = [['Name', 'UUID', 'Original X' + suffix, 'Original Y' + suffix, 'New X' + suffix, 'New Y' + suffix, 'Displacement' + suffix, 'Nearest Distance' + suffix]];
 
-    // used later to check if items have been moved
-    settings.positions = getPositionValues();
+    for (var i = 0, record; i < moved.length; i++) {
 
-    const sliderMaxValue = 100,
-        sliderMinValue = 1,
-        sliderBounds = [5, 25, 350, 45],
+        record = moved[i];
 
-        spreadMinValue = 0.01,
-        spreadMaxValue = settings.radius * 2,
+        rows.push([
+            record.name,
+            record.uuid,
+            toUnit(record.from && record.from[0]),
+            toUnit(record.from && record.from[1]),
+            toUnit(record.to[0]),
+            toUnit(record.to[1]),
+            toUnit(record.displacement),
+            toUnit(record.nearestDistance),
+        ]);
 
-        // these constants are used to map a slider value to an exponential range 0..1000
-        SLIDER_SCALE_FACTOR = 6.777,
-        SLIDER_GROWTH_CONSTANT = 0.05,
+    }
 
-        // show a warning when UI is configured for more than this many operations
-        OPERATIONS_WARNING_TEXT_THRESHOLD = 50000000,
-        OPERATIONS_WARNING_ALERT_THRESHOLD = 500000000,
+    for (var i = 0; i < rows.length; i++) {
 
-        DIALOG_WIDTH = 450;
+        for (var j = 0; j < rows[i].length; j++)
+            rows[i][j] = getCSVValue(rows[i][j]);
 
-    var w = new Window("dialog", 'Distribute ' + settings.items.length + ' Items', undefined, { closeButton: false }),
+        rows[i] = rows[i].join(',');
 
-        stack = w.add("group {orientation:'stack', alignment:['fill','fill'] }"),
-        uiPage = stack.add("group {orientation:'column', alignment:['fill','fill'], visible: true }"),
-        helpPage = stack.add("group {orientation:'column', alignment:['fill','fill'], visible: false }"),
+    }
 
-        helpContent = helpPage.add("group {orientation:'column', alignment:['fill','fill'],alignChildren:['fill','top'], margins: [10,10,10,10] }"),
-        helpButtonGroup = helpPage.add('group {orientation:"row", alignment:["fill","bottom"], alignChildren: ["left","bottom"], margins: [10,10,10,10] }'),
-        closeHelpButton = helpButtonGroup.add("Button { text:'OK', margins:[0,0,0,0], size:[60,25] }"),
+    file.encoding = 'UTF-8';
 
-        spreadGroup = uiPage.add("group {orientation:'column', alignment:['left','top'], alignChildren: ['left','top'], margins:[10,0,10,10], preferredSize: [80,-1] }"),
-        spreadLabel = spreadGroup.add('statictext { text: "Spread Amount" }'),
-        spreadInputGroup = spreadGroup.add("group {orientation:'row', preferredSize: [300,-1], margins:[2,0,0,0] }"),
-        spreadField = spreadInputGroup.add('edittext {text: "", preferredSize: [80,-1] }'),
-        spreadSlider = spreadInputGroup.add('slider', sliderBounds, 0, spreadMinValue, spreadMaxValue),
+    if (!file.open('w'))
+        return false;
 
-        dampingGroup = uiPage.add("group {orientation:'column', alignment:['left','top'], alignChildren: ['left','top'], margins:[10,0,10,10], preferredSize: [80,-1] }"),
-        dampingLabel = dampingGroup.add('statictext { text: "Damping %" }'),
-        dampingInputGroup = dampingGroup.add("group {orientation:'row', preferredSize: [300,-1], margins:[2,0,0,0] }"),
-        dampingField = dampingInputGroup.add('edittext {text: "", preferredSize: [80,-1] }'),
-        dampingSlider = dampingInputGroup.add('slider', sliderBounds, 0, sliderMinValue, sliderMaxValue),
+    var written = file.write(rows.join('\n'));
+    file.close();
 
-        radiusGroup = uiPage.add("group {orientation:'column', alignment:['left','top'], alignChildren: ['left','top'], margins:[10,0,10,10], preferredSize: [80,-1] }"),
-        radiusLabel = radiusGroup.add('statictext { text: "Radius" }'),
-        radiusInputGroup = radiusGroup.add("group {orientation:'row', preferredSize: [300,-1], margins:[2,0,0,0] }"),
-        radiusField = radiusInputGroup.add('edittext {text: "", preferredSize: [80,-1] }'),
-        radiusSlider = radiusInputGroup.add('slider', sliderBounds, 0, sliderMinValue, sliderMaxValue),
+    return written;
 
-        maxStepsGroup = uiPage.add("group {orientation:'column', alignment:['left','top'], alignChildren: ['left','top'], margins:[10,0,10,10], preferredSize: [80,-1] }"),
-        maxStepsLabel = maxStepsGroup.add('statictext { text: "Number of steps" }'),
-        maxStepsInputGroup = maxStepsGroup.add("group {orientation:'row', preferredSize: [300,-1], margins:[2,0,0,0] }"),
-        maxStepsField = maxStepsInputGroup.add('edittext {text: "", preferredSize: [80,-1] }'),
-        maxStepsSlider = maxStepsInputGroup.add('slider', sliderBounds, 0, sliderMinValue, sliderMaxValue),
+    /**
+     * Returns a distance, in points, as a number in `unit`.
+     * @param {Number} [points]
+     * @returns {Number?}
+     */
+    function toUnit(points) {
 
-        scaleGroup = uiPage.add("group {orientation:'column', alignment:['left','top'], alignChildren: ['left','top'], margins:[10,0,10,10], preferredSize: [80,-1] }"),
-        scaleLabel = scaleGroup.add('statictext { text: "Scale %" }'),
-        scaleInputGroup = scaleGroup.add("group {orientation:'row', preferredSize: [300,-1], margins:[2,0,0,0] }"),
-        scaleFactorField = scaleInputGroup.add('edittext {text: "", preferredSize: [80,-1] }'),
-        scaleFactorSlider = scaleInputGroup.add('slider', sliderBounds, 0, 0, 200),
+        if (undefined != points)
+            return Number((points / pointsPerUnit).toFixed(4));
 
-        maxIterationsGroup = uiPage.add("group {orientation:'column', alignment:['left','top'], alignChildren: ['left','top'], margins:[10,0,10,10], preferredSize: [80,-1] }"),
-        maxIterationsLabel = maxIterationsGroup.add('statictext { text: "Number of iterations:" }'),
-        maxIterationsInputGroup = maxIterationsGroup.add("group {orientation:'row', preferredSize: [300,-1], margins:[2,0,0,0] }"),
-        maxIterationsField = maxIterationsInputGroup.add('edittext {text: "", preferredSize: [80,-1] }'),
-        maxIterationsSlider = maxIterationsInputGroup.add('slider', sliderBounds, 1, 1, 100),
+    };
 
-        checkboxGroup = uiPage.add('group {orientation:"row", alignment:["left","top"], alignChildren: ["left","top"], margins:[10,10,10,10], preferredSize: [120,-1] }'),
-        keepWithinBoundsCheckbox = checkboxGroup.add("Checkbox { alignment:'left', text:'Keep within original bounds', margins:[0,10,0,0], value:false }"),
+    /**
+     * Returns `value` as a CSV value, quoted when necessary.
+     * @param {*} value
+     * @returns {String}
+     */
+    function getCSVValue(value) {
 
-        infoGroup = uiPage.add('group {orientation:"stack", alignment:["left","top"], alignChildren: ["fill","bottom"], margins:[10,10,10,10], preferredSize: [120,-1] }'),
-        warningText = infoGroup.add('statictext { text: "", alignment:["right","top"], preferredSize: [430,-1], justify:"right" }'),
-        pb = infoGroup.add('progressbar { bounds: [0, 0, ' + DIALOG_WIDTH + ', 6], value: 0, maxvalue: ' + settings.positions.length + ', visible: false }'),
+        if (undefined == value)
+            return '';
 
-        buttonGroup = uiPage.add('group {orientation:"row", alignment:["fill","bottom"], alignChildren: ["right","bottom"], margins: [10,10,10,10] }'),
-        extraButtons = buttonGroup.add('group {orientation:"row", alignment:["left","bottom"], alignChildren: ["left","bottom"], margins: [0,0,0,0] }'),
-        helpButton = extraButtons.add("Button { text:'Help', margins:[0,0,0,0], size:[60,25] }"),
-        resetButton = extraButtons.add("Button { text:'Reset', margins:[0,0,0,0], size:[60,25] }"),
-        undoButton = extraButtons.add("Button { text:'Undo', margins:[0,0,0,0], size:[60,25] }"),
-        cancelButton = buttonGroup.add('button', undefined, 'Cancel', { name: 'cancel' }),
-        doButton = buttonGroup.add('button', undefined, 'Distribute', { name: 'ok' });
+        value = String(value);
 
-    w.preferredSize.width = DIALOG_WIDTH;
+        if (/[",\n\r]/.test(value))
+            value = '"' + value.replace(/"/g, '""') + '"';
 
-    // assign listeners to buttons
-    undoButton.onClick = undo;
-    resetButton.onClick = doReset;
-    doButton.onClick = doDistribute;
-    helpButton.onClick = toggleHelp;
-    closeHelpButton.onClick = toggleHelp;
+        return value;
 
-    // assign listeners to fields so that sliders are updated
-    spreadField.onChanging = getFieldOnChangingFunction(undefined, spreadSlider, spreadMinValue, spreadMaxValue);
-    dampingField.onChanging = getFieldOnChangingFunction(undefined, dampingSlider, sliderMinValue, sliderMaxValue);
-    radiusField.onChanging = getFieldOnChangingFunction(getNumberInSliderUnits, radiusSlider, sliderMinValue, sliderMaxValue);
-    maxStepsField.onChanging = getFieldOnChangingFunction(getNumberInSliderUnits, maxStepsSlider, sliderMinValue, sliderMaxValue);
-    scaleFactorField.onChanging = getFieldOnChangingFunction(undefined, scaleFactorSlider, 0, 200);
-    maxIterationsField.onChanging = getFieldOnChangingFunction(undefined, maxIterationsSlider, sliderMinValue, sliderMaxValue);
+    };
+
+};
+
+/**
+ * Distributes sets of items separately, according to `options.scope`,
+ * combining the results. With 'artboard' scope, each set is
+ * contained within its artboard, whatever `options.container` is.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Object} options - the `distributeItems` options.
+ * @returns {Object} - the combined result: { stepsUsed: Number, totalSteps: Number, converged: Boolean, stopped: Boolean, moved: Array<Object>, overlapsRemaining: Number?, unsnapped: Number? }.
+ */
+function distributeItemsInScopes(options) {
+
+    var sets = getScopedItemSets(options.items, options.scope),
+        positionByUUID = {},
+        allItems = [],
+        allPositions = [],
+        summary = {
+            stepsUsed: 0,
+            totalSteps: 0,
+            converged: true,
+            stopped: false,
+            moved: [],
+        };
+
+    if (options.positions)
+        for (var i = 0; i < options.items.length; i++)
+            positionByUUID[options.items[i].uuid] = options.positions[i];
+
+    for (var s = 0; s < sets.length; s++) {
+
+        var setOptions = {};
+
+        for (var key in options)
+            if (options.hasOwnProperty(key))
+                setOptions[key] = options[key];
+
+        setOptions.scope = 'all';
+        setOptions.items = sets[s].items;
+
+        // no selected item, nor a selected group, is an obstacle to another set
+        setOptions.selectedItems = options.selectedItems || options.items;
+        setOptions.positions = [];
+
+        // leader lines are drawn once, for every set
+        setOptions.leaderLines = false;
+
+        for (var i = 0, item; i < setOptions.items.length; i++) {
+            item = setOptions.items[i];
+            setOptions.positions[i] = positionByUUID[item.uuid] || item.position;
+            allItems.push(item);
+            allPositions.push(setOptions.positions[i]);
+        }
+
+        if (undefined != sets[s].artboardIndex) {
+            // keep the items on their artboard
+            setOptions.container = 'artboard';
+            setOptions.artboardIndex = sets[s].artboardIndex;
+        }
+
+        var result = distributeItems(setOptions);
+
+        summary.stepsUsed += result.stepsUsed;
+        summary.totalSteps += result.totalSteps;
+        summary.converged = summary.converged && result.converged;
+        summary.moved = summary.moved.concat(result.moved);
+
+        if (undefined != result.overlapsRemaining)
+            summary.overlapsRemaining = (summary.overlapsRemaining || 0) + result.overlapsRemaining;
+
+        if (undefined != result.unsnapped)
+            summary.unsnapped = (summary.unsnapped || 0) + result.unsnapped;
+
+        if (result.stopped) {
+            summary.stopped = true;
+            summary.converged = false;
+            break;
+        }
+
+    }
+
+    if (
+        summary.stopped
+        && 'revert' === options.stopBehaviour
+    ) {
+
+        // move every item of every set back to where it started
+        for (var i = 0; i < allItems.length; i++)
+            allItems[i].position = allPositions[i];
+
+        summary.moved = [];
+
+    }
+
+    else if (options.leaderLines) {
+
+        var leaderOptions = {};
+
+        for (var key in options)
+            if (options.hasOwnProperty(key))
+                leaderOptions[key] = options[key];
+
+        leaderOptions.items = allItems;
+        leaderOptions.positions = allPositions;
+
+        drawLeaderLines(allItems, leaderOptions);
+
+    }
+
+    return summary;
+
+};
+
+/**
+ * Returns the sets of items to distribute separately:
+ *   - 'artboard': a set for each artboard, by the items' centers,
+ *     and a set for any items on no artboard.
+ *   - 'group': a set for each parent of the items, where a
+ *     selected group (unless clipped) contributes its children.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<PageItem>} items - the items.
+ * @param {String} scope - 'artboard' or 'group'.
+ * @returns {Array<Object>} - [{ items: Array<PageItem>, artboardIndex: Number? }].
+ */
+function getScopedItemSets(items, scope) {
+
+    var sets = [],
+        setByKey = {};
+
+    if ('artboard' === scope) {
+
+        var artboards = app.activeDocument.artboards,
+            centers = getCenters(items);
+
+        for (var i = 0, index; i < items.length; i++) {
+
+            index = getArtboardIndexAtPoint(artboards, centers[i]);
+            addToSet(-1 === index ? 'none' : index, items[i], -1 === index ? undefined : index);
+
+        }
+
+    }
+
+    else if ('group' === scope) {
+
+        for (var i = 0, item; i < items.length; i++) {
+
+            item = items[i];
+
+            if (
+                'GroupItem' === item.typename
+                && !item.clipped
+            ) {
+
+                // the group's children are distributed together
+                for (var j = 0; j < item.pageItems.length; j++)
+                    addToSet(item.uuid, item.pageItems[j]);
+
+            }
+
+            else {
+
+                // layers have no uuid
+                addToSet('Layer' === item.parent.typename ? 'layer:' + item.parent.name : item.parent.uuid, item);
+
+            }
+
+        }
+
+    }
+
+    else {
+        sets.push({ items: items });
+    }
+
+    return sets;
+
+    /**
+     * Adds `item` to the set with `key`, making the set if necessary.
+     * @param {String} key - the set's key.
+     * @param {PageItem} item - the item to add.
+     * @param {Number} [artboardIndex] - the set's artboard index.
+     */
+    function addToSet(key, item, artboardIndex) {
+
+        if (undefined == setByKey[key]) {
+            setByKey[key] = { items: [], artboardIndex: artboardIndex };
+            sets.push(setByKey[key]);
+        }
+
+        setByKey[key].items.push(item);
+
+    };
+
+};
+
+/**
+ * Returns the index of the first artboard containing `point`, or -1.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Artboards} artboards - the document's artboards.
+ * @param {point} point - the point [x, y].
+ * @returns {Number}
+ */
+function getArtboardIndexAtPoint(artboards, point) {
+
+    for (var i = 0, rect; i < artboards.length; i++) {
+
+        rect = artboards[i].artboardRect;
+
+        if (
+            point[0] >= rect[0]
+            && point[0] <= rect[2]
+            && point[1] <= rect[1]
+            && point[1] >= rect[3]
+        )
+            return i;
+
+    }
+
+    return -1;
+
+};
+
+/**
+ * Places items along a path, at equal arc-length intervals,
+ * from the start to the end of an open path, or evenly around
+ * a closed path. Pinned items stay where they are.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Object} options
+ * @param {Array<PageItem>} options.items - the items to place; `pathItem` itself is ignored.
+ * @param {PathItem} options.pathItem - the path to place the items along.
+ * @param {Boolean} [options.keepPathOrder] - whether to keep the items' order along the path, by their nearest point on the path; otherwise use the selection order (default: false).
+ * @param {Boolean} [options.rotateToPath] - whether to rotate each item to the path's direction at its position; otherwise any rotation made by an earlier placement is undone (default: false).
+ * @param {Object} [options.rotations] - the rotation, in degrees, already made to each item by an earlier placement, by uuid; updated as the items are rotated (default: none).
+ * @returns {Object} - the result: { stepsUsed: Number, totalSteps: Number, converged: Boolean, stopped: Boolean, moved: Array<Object> }.
+ */
+function distributeItemsAlongPath(options) {
+
+    var path = options.pathItem;
+
+    if (!path)
+        throw new Error('distributeItemsAlongPath: please select a path to distribute the items along.');
+
+    var items = [];
+
+    for (var i = 0; i < options.items.length; i++)
+        if (options.items[i].uuid !== path.uuid)
+            items.push(options.items[i]);
+
+    var points = getCenters(items),
+        fixed = getPinnedFlags(items, options),
+        rotations = options.rotations || {},
+        polyline = getPathPolygon(path, 16);
+
+    if (path.closed)
+        polyline.push(polyline[0]);
+
+    // the distance along the path to each of the polyline's points
+    var lengths = [0];
+
+    for (var i = 1; i < polyline.length; i++)
+        lengths[i] = lengths[i - 1] + Math.sqrt(
+            (polyline[i][0] - polyline[i - 1][0]) * (polyline[i][0] - polyline[i - 1][0])
+            + (polyline[i][1] - polyline[i - 1][1]) * (polyline[i][1] - polyline[i - 1][1])
+        );
+
+    // the items that move, in order
+    var order = [];
+
+    for (var i = 0; i < items.length; i++)
+        if (!fixed[i])
+            order.push({ index: i, distance: options.keepPathOrder ? getDistanceAlongPolyline(polyline, lengths, points[i]) : i });
+
+    order.sort(function (a, b) { return a.distance - b.distance || a.index - b.index; });
+
+    var totalLength = lengths[lengths.length - 1],
+        moved = [];
+
+    for (var n = 0; n < order.length; n++) {
+
+        var i = order[n].index,
+            item = items[i],
+            distance;
+
+        if (path.closed)
+            distance = totalLength * n / order.length;
+        else if (1 === order.length)
+            distance = totalLength / 2;
+        else
+            distance = totalLength * n / (order.length - 1);
+
+        var placement = getPlacementOnPolyline(polyline, lengths, distance),
+            center = points[i];
+
+        // the rotation is absolute, so placing again doesn't add to it,
+        // and turning off `rotateToPath` undoes any earlier rotation
+        if (rotateItemTo(item, options.rotateToPath ? placement.angle : 0, rotations)) {
+            // rotating can move the center of the item's bounds
+            forgetItemBounds(item);
+            center = getCenters([item])[0];
+        }
+
+        item.translate(placement.point[0] - center[0], placement.point[1] - center[1]);
+
+        moved.push({
+            name: item.name,
+            uuid: item.uuid,
+            from: points[i],
+            to: placement.point,
+        });
+
+    }
+
+    return {
+        stepsUsed: 1,
+        totalSteps: 1,
+        converged: true,
+        stopped: false,
+        moved: moved,
+    };
+
+};
+
+/**
+ * Rotates `item` so that its rotation, by this script, is
+ * `angle`. The rotation already made is looked up, by the
+ * item's uuid, in `rotations`, so only the difference is
+ * applied, and `rotations` is updated. Nothing is stored in
+ * the document, so a later run starts again from 0.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {PageItem} item - the item to rotate.
+ * @param {Number} angle - the rotation, in degrees.
+ * @param {Object} rotations - the rotation made to each item so far, by uuid; will be modified.
+ * @returns {Boolean} - true when the item was rotated.
+ */
+function rotateItemTo(item, angle, rotations) {
+
+    var difference = angle - (rotations[item.uuid] || 0);
+
+    if (Math.abs(difference) < 0.0001)
+        return false;
+
+    item.rotate(difference);
+    rotations[item.uuid] = angle;
+
+    return true;
+
+};
+
+/**
+ * Returns `item`'s tag called `name`, if any.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {PageItem} item - the item.
+ * @param {String} name - the tag's name.
+ * @param {Boolean} [create] - whether to add the tag, if missing (default: false).
+ * @returns {Tag?}
+ */
+function getTag(item, name, create) {
+
+    if (!item.tags)
+        return;
+
+    for (var i = 0; i < item.tags.length; i++)
+        if (name === item.tags[i].name)
+            return item.tags[i];
+
+    if (!create)
+        return;
+
+    var tag = item.tags.add();
+    tag.name = name;
+
+    return tag;
+
+};
+
+/**
+ * Returns the point, and the direction in degrees, at
+ * `distance` along the polyline.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<point>} polyline - the polyline's points [x, y].
+ * @param {Array<Number>} lengths - the distance along the polyline to each of its points.
+ * @param {Number} distance - the distance along the polyline.
+ * @returns {Object} - { point: point, angle: Number }.
+ */
+function getPlacementOnPolyline(polyline, lengths, distance) {
+
+    // find the segment containing `distance`, skipping any with no length
+    for (var i = 1; i < polyline.length - 1; i++)
+        if (lengths[i] > distance)
+            break;
+
+    while (i > 1 && lengths[i] === lengths[i - 1])
+        i--;
+
+    var a = polyline[i - 1],
+        b = polyline[i],
+        segmentLength = lengths[i] - lengths[i - 1],
+        t = 0 === segmentLength ? 0 : Math.max(0, Math.min(1, (distance - lengths[i - 1]) / segmentLength));
+
+    return {
+        point: [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])],
+        angle: Math.atan2(b[1] - a[1], b[0] - a[0]) * 180 / Math.PI,
+    };
+
+};
+
+/**
+ * Returns the distance along the polyline to the
+ * polyline's nearest point to `point`.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<point>} polyline - the polyline's points [x, y].
+ * @param {Array<Number>} lengths - the distance along the polyline to each of its points.
+ * @param {point} point - the point [x, y].
+ * @returns {Number}
+ */
+function getDistanceAlongPolyline(polyline, lengths, point) {
+
+    var nearest = 0,
+        nearestDistance = Infinity;
+
+    for (var i = 1, a, b, abX, abY, lengthSquared, t, x, y, distance; i < polyline.length; i++) {
+
+        a = polyline[i - 1];
+        b = polyline[i];
+        abX = b[0] - a[0];
+        abY = b[1] - a[1];
+        lengthSquared = abX * abX + abY * abY;
+
+        // the position of the projected point along the segment, 0..1
+        t = 0 === lengthSquared
+            ? 0
+            : Math.max(0, Math.min(1, ((point[0] - a[0]) * abX + (point[1] - a[1]) * abY) / lengthSquared));
+
+        x = a[0] + t * abX;
+        y = a[1] + t * abY;
+        distance = (point[0] - x) * (point[0] - x) + (point[1] - y) * (point[1] - y);
+
+        if (distance < nearestDistance) {
+            nearest = lengths[i - 1] + t * (lengths[i] - lengths[i - 1]);
+            nearestDistance = distance;
+        }
+
+    }
+
+    return nearest;
+
+};
+
+/**
+ * Fills a region with copies of the items, placed by Poisson-disc
+ * sampling, so that no two copies' centers are closer than
+ * `scatterSpacing`. Each copy is of an item chosen at random,
+ * in proportion to its weight, and is given a random rotation
+ * and scale from the ranges supplied. The region is the
+ * container path, when `container` is 'path', otherwise the
+ * artboard. The items themselves don't move. The same `seed`
+ * always gives the same result.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Object} options
+ * @param {Array<PageItem>} options.items - the items to copy; `containerItem` itself is ignored.
+ * @param {Number} [options.scatterCount] - the number of copies (default: 100).
+ * @param {Number} [options.scatterSpacing] - the minimum distance between the copies' centers, in points (default: the median item size).
+ * @param {String} [options.scatterWeights] - the weight of each item, in selection order, separated by commas; missing weights are 1 (default: equal weights).
+ * @param {Number} [options.scatterRotationMin] - the smallest random rotation, in degrees (default: 0).
+ * @param {Number} [options.scatterRotationMax] - the largest random rotation, in degrees (default: 0).
+ * @param {Number} [options.scatterScaleMin] - the smallest random scale, where 1 is 100% (default: 1).
+ * @param {Number} [options.scatterScaleMax] - the largest random scale, where 1 is 100% (default: 1).
+ * @param {String} [options.container] - the region is the container path when 'path', otherwise the artboard (default: 'none').
+ * @param {PathItem} [options.containerItem] - the closed path used when `container` is 'path'.
+ * @param {Number} [options.artboardIndex] - the artboard used as the region (default: the active artboard).
+ * @param {Number} [options.seed] - the seed for every random choice (default: 1).
+ * @param {Function} [options.shouldStop] - called between copies; return true to stop (default: never stop).
+ * @param {String} [options.stopBehaviour] - when stopped, 'keep' the copies made so far, or 'revert' to remove them (default: 'keep').
+ * @returns {Object} - the result: { stepsUsed: Number, totalSteps: Number, converged: Boolean, stopped: Boolean, moved: Array<Object> },
+ *   where `stepsUsed` is the number of copies made, `converged` is false when the region had no room for every copy, and `moved` has a record of each copy, without `from`. The group of copies is set as `options.scatterGroup`.
+ */
+function scatterItems(options) {
+
+    var items = [],
+        isPath = 'path' === options.container;
+
+    for (var i = 0; i < options.items.length; i++)
+        if (!isPath || !options.containerItem || options.items[i].uuid !== options.containerItem.uuid)
+            items.push(options.items[i]);
+
+    if (0 === items.length)
+        throw new Error('scatterItems: please select an item to scatter.');
+
+    var count = undefined == options.scatterCount ? 100 : options.scatterCount,
+        spacing = options.scatterSpacing || getMedianSize(items),
+        rotationMin = options.scatterRotationMin || 0,
+        rotationMax = options.scatterRotationMax || 0,
+        scaleMin = options.scatterScaleMin || 1,
+        scaleMax = options.scatterScaleMax || 1,
+        random = getSeededRandom(undefined == options.seed ? 1 : options.seed),
+        weights = parseWeights(options.scatterWeights, items.length),
+        centers = getCenters(items),
+        polygon = getContainerPolygon(isPath ? 'path' : 'artboard', options.containerItem, options.artboardIndex),
+        points = getPoissonDiscPoints(polygon, count, spacing, random);
+
+    // the copies are grouped together, above the topmost item
+    var group = items[0].layer.groupItems.add();
+    group.name = 'Scatter';
+    group.move(items[0], ElementPlacement.PLACEBEFORE);
+
+    var moved = [];
+
+    options.stopped = false;
+
+    for (var i = 0, index, copy, angle, scale; i < points.length; i++) {
+
+        if (
+            options.shouldStop
+            && options.shouldStop()
+        ) {
+            options.stopped = true;
+            break;
+        }
+
+        // every copy uses the same number of random values, so the seed is repeatable
+        index = getWeightedIndex(weights, random());
+        angle = rotationMin + random() * (rotationMax - rotationMin);
+        scale = (scaleMin + random() * (scaleMax - scaleMin)) * 100;
+
+        copy = items[index].duplicate(group, ElementPlacement.PLACEATEND);
+        copy.translate(points[i][0] - centers[index][0], points[i][1] - centers[index][1]);
+
+        if (0 !== angle)
+            copy.rotate(angle);
+
+        if (100 !== scale)
+            copy.resize(scale, scale, true, true, true, true, scale);
+
+        // a copy has no original position, so no displacement
+        moved.push({
+            name: items[index].name,
+            uuid: copy.uuid,
+            to: points[i],
+        });
+
+        if (options.pb)
+            options.pb.update(i + 1);
+
+    }
+
+    if (
+        options.stopped
+        && 'revert' === options.stopBehaviour
+    ) {
+        // remove the copies made so far
+        group.remove();
+        group = undefined;
+        moved = [];
+    }
+
+    options.scatterGroup = group;
+
+    return {
+        stepsUsed: moved.length,
+        totalSteps: count,
+        converged: points.length >= count,
+        stopped: options.stopped,
+        moved: moved,
+    };
+
+};
+
+/**
+ * Returns up to `count` points inside `polygon`, no two closer
+ * than `spacing`, by Poisson-disc "dart throwing": random
+ * candidates are accepted only if far enough from every point
+ * accepted so far. Fewer points are returned when no room is
+ * found after `maxAttempts` candidates.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<point>} polygon - the region's points [x, y].
+ * @param {Number} count - the number of points wanted.
+ * @param {Number} spacing - the minimum distance between points.
+ * @param {Function} random - a function returning a random number 0..1.
+ * @param {Number} [maxAttempts] - the number of candidates to try (default: 30 per point wanted).
+ * @returns {Array<point>}
+ */
+function getPoissonDiscPoints(polygon, count, spacing, random, maxAttempts) {
+
+    maxAttempts = maxAttempts || count * 30;
+
+    var bounds = getPointsBounds(polygon),
+        width = bounds[2] - bounds[0],
+        height = bounds[3] - bounds[1],
+        spacingSquared = spacing * spacing,
+        cellSize = Math.max(spacing, 0.001),
+        grid = getSpatialGrid([], cellSize),
+        points = [];
+
+    for (var attempt = 0, candidate, neighbours, tooClose, key; attempt < maxAttempts && points.length < count; attempt++) {
+
+        candidate = [bounds[0] + random() * width, bounds[1] + random() * height];
+
+        if (!pointIsInPolygon(candidate, polygon))
+            continue;
+
+        neighbours = getSpatialGridNeighbours(grid, candidate, cellSize);
+        tooClose = false;
+
+        for (var n = 0, dx, dy; n < neighbours.length; n++) {
+
+            dx = points[neighbours[n]][0] - candidate[0];
+            dy = points[neighbours[n]][1] - candidate[1];
+
+            if (dx * dx + dy * dy < spacingSquared) {
+                tooClose = true;
+                break;
+            }
+
+        }
+
+        if (tooClose)
+            continue;
+
+        key = Math.floor(candidate[0] / cellSize) + ',' + Math.floor(candidate[1] / cellSize);
+
+        if (undefined == grid[key])
+            grid[key] = [];
+
+        grid[key].push(points.length);
+        points.push(candidate);
+
+    }
+
+    return points;
+
+};
+
+/**
+ * Returns an array of `length` weights, read from
+ * a comma-separated list of numbers. Missing or
+ * invalid weights are 1, and negative weights are 0.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {String} [text] - the weights, eg. "3, 1, 0.5".
+ * @param {Number} length - the number of weights needed.
+ * @returns {Array<Number>}
+ */
+function parseWeights(text, length) {
+
+    var parts = String(text || '').split(/[,;\s]+/),
+        weights = [];
+
+    // skip an empty first part, from leading white space
+    if (parts.length > 0 && '' === parts[0])
+        parts.shift();
+
+    for (var i = 0, weight; i < length; i++) {
+
+        weight = Number(parts[i]);
+
+        if (
+            undefined == parts[i]
+            || '' === parts[i]
+            || isNaN(weight)
+        )
+            weight = 1;
+
+        weights.push(Math.max(0, weight));
+
+    }
+
+    return weights;
+
+};
+
+/**
+ * Returns the index of the weight chosen by `value`, so that
+ * each index is chosen in proportion to its weight.
+ * When every weight is 0, each index is equally likely.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<Number>} weights - the weights, each 0 or more.
+ * @param {Number} value - a random number 0..1.
+ * @returns {Number}
+ */
+function getWeightedIndex(weights, value) {
+
+    var total = 0;
+
+    for (var i = 0; i < weights.length; i++)
+        total += weights[i];
+
+    if (0 === total)
+        return Math.min(weights.length - 1, Math.floor(value * weights.length));
+
+    var target = value * total;
+
+    for (var i = 0; i < weights.length; i++) {
+
+        target -= weights[i];
+
+        if (target < 0)
+            return i;
+
+    }
+
+    // when `value` is 1, the last weighted index
+    for (var i = weights.length - 1; i > 0; i--)
+        if (weights[i] > 0)
+            return i;
+
+    return 0;
+
+};
+
+/**
+ * Draws a line from each item's original center to the
+ * nearest edge of its bounds, so that items moved away, such
+ * as callout labels, stay linked to where they started. The
+ * original centers are found from `options.positions`, if
+ * available, otherwise `centers` is used. The lines are drawn
+ * in a tagged group on a dedicated layer, replacing the lines
+ * previously drawn there; nothing else on the layer is touched.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<PageItem>} items - the moved items.
+ * @param {Object} options
+ * @param {Array<PageItem>} [options.items] - all of the items, in the order of `options.positions`.
+ * @param {Array<point>} [options.positions] - the original positions of `options.items`.
+ * @param {String} [options.leaderLayerName] - the name of the layer for leader lines (default: 'Leader Lines').
+ * @param {Number} [options.leaderStrokeWidth] - the stroke width, in points (default: 0.5).
+ * @param {Number} [options.leaderStrokeGray] - the stroke color, as a gray percentage (default: 100).
+ * @param {Number} [options.leaderThreshold] - no line is drawn for items that moved less than this, in points (default: 1).
+ * @param {Array<point>} [centers] - the items' centers before moving, when `options.positions` isn't available.
+ * @returns {Array<PathItem>} - the leader lines.
+ */
+function drawLeaderLines(items, options, centers) {
+
+    var doc = app.activeDocument,
+        layerName = options.leaderLayerName || 'Leader Lines',
+        strokeWidth = undefined == options.leaderStrokeWidth ? 0.5 : options.leaderStrokeWidth,
+        threshold = undefined == options.leaderThreshold ? 1 : options.leaderThreshold,
+        lines = [],
+        layer;
+
+    // remove the previous leader lines
+    removeLeaderLines(layerName);
+
+    try {
+        layer = doc.layers.getByName(layerName);
+    } catch (error) {
+        layer = doc.layers.add();
+        layer.name = layerName;
+    }
+
+    layer.locked = false;
+    layer.visible = true;
+
+    var group = layer.groupItems.add();
+    group.name = 'Leader Lines';
+    getTag(group, LEADER_LINES_TAG_NAME, true).value = 'true';
+
+    var color = new GrayColor();
+    color.gray = undefined == options.leaderStrokeGray ? 100 : options.leaderStrokeGray;
+
+    // the index of each item in `options.items`
+    var indexByUUID = {};
+
+    if (options.positions)
+        for (var i = 0; i < options.items.length; i++)
+            indexByUUID[options.items[i].uuid] = i;
+
+    for (var i = 0, item, bounds, center, origin, index; i < items.length; i++) {
+
+        item = items[i];
+        bounds = getItemBounds(item);
+        center = centerOfBounds(bounds, false);
+        index = indexByUUID[item.uuid];
+
+        if (undefined != index)
+            // the original center is offset from the original position, like the current center
+            origin = [
+                options.positions[index][0] + center[0] - item.position[0],
+                options.positions[index][1] + center[1] - item.position[1],
+            ];
+
+        else if (centers)
+            origin = centers[i];
+
+        else
+            continue;
+
+        var dx = origin[0] - center[0],
+            dy = origin[1] - center[1];
+
+        if (Math.sqrt(dx * dx + dy * dy) < threshold)
+            // barely moved
+            continue;
+
+        // where the line from the center towards the origin leaves the bounds
+        var halfWidth = (bounds[2] - bounds[0]) / 2,
+            halfHeight = (bounds[1] - bounds[3]) / 2,
+            t = Math.min(
+                0 === dx ? Infinity : halfWidth / Math.abs(dx),
+                0 === dy ? Infinity : halfHeight / Math.abs(dy)
+            );
+
+        if (t >= 1)
+            // the origin is inside the item's bounds
+            continue;
+
+        var line = group.pathItems.add();
+        line.setEntirePath([origin, [center[0] + dx * t, center[1] + dy * t]]);
+        line.filled = false;
+        line.stroked = true;
+        line.strokeWidth = strokeWidth;
+        line.strokeColor = color;
+
+        lines.push(line);
+
+    }
+
+    if (0 === lines.length)
+        group.remove();
+
+    return lines;
+
+};
+
+/**
+ * Removes the leader lines drawn by `drawLeaderLines`, ie. the
+ * tagged groups on the layer, leaving anything else there alone.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {String} [layerName] - the name of the leader lines layer (default: 'Leader Lines').
+ */
+function removeLeaderLines(layerName) {
+
+    var layer;
+
+    try {
+        layer = app.activeDocument.layers.getByName(layerName || 'Leader Lines');
+    } catch (error) {
+        // no leader lines layer
+        return;
+    }
+
+    var locked = layer.locked;
+    layer.locked = false;
+
+    for (var i = layer.groupItems.length - 1; i >= 0; i--)
+        if (getTag(layer.groupItems[i], LEADER_LINES_TAG_NAME))
+            layer.groupItems[i].remove();
+
+    layer.locked = locked;
+
+};
+
+/**
+ * Distribute points by simulating a `spread` force between them.
+ * Performs `maxStep` iterations, with `damping` at each iteration.
+ * More iterations tend to provide a more even, settled, distribution.
+ * Each step, the points are sorted into a uniform grid of `radius`-sized
+ * cells, so that only neighbouring points need to be compared.
+ * When `sizes` are supplied, the points repel only while their
+ * rectangles (or circles) overlap, and `radius` is not used.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Object} options
+ * @param {Array<PageItem>} options.items - the items to distribute.
+ * @param {Number} options.spread - the spreading force; larger number means further apart
+ * @param {Array<point>} options.points - array of items' points [x, y] to distribute.
+ * @param {Number} [options.spread] - the repulsive force between points, controlling the spread between points (default: 0.5).
+ * @param {Number} [options.damping] - the damping of the force at each iteration (default: 0.3).
+ * @param {Number} [options.anchorStiffness] - the pull of each point back towards its original position, 0..1 (default: 0, no pull).
+ * @param {Number} [options.radius] - the distance beyond which no distribution is necessary (default: 100).
+ * @param {String} [options.falloff] - how the force weakens with distance: 'constant', 'linear', 'inverseSquare' or 'gaussian' (default: 'constant').
+ * @param {Number} [options.maxSteps] - the number of iterations; higher number tends to provide a more even, settled, distribution (default: 500).
+ * @param {Number} [options.scaleFactor] - a scale factor applied to the distrubuted points (default: 1, no scaling).
+ * @param {Number} [options.maxIterations] - the number of iterations (default: 1).
+ * @param {String|Boolean} [options.keepWithinBounds] - how to scale distributed points to keep within the original bounds: 'none', 'stretch', 'fit' or 'pad'; true means 'stretch' (default: 'none').
+ * @param {Number} [options.boundsPadding] - when `keepWithinBounds` is 'pad', the inner padding, in points (default: 0).
+ * @param {Boolean} [options.useSpatialGrid] - whether to compare only points in neighbouring grid cells; false compares every pair of points (default: true).
+ * @param {Array<Array<Number>>} [options.sizes] - the half width and half height [hw, hh] of each point's item; when supplied, points repel only while their items overlap.
+ * @param {String} [options.repulsionShape] - when `sizes` are supplied, 'rectangle' or 'circle' (default: 'rectangle').
+ * @param {Number} [options.minimumGap] - when `sizes` are supplied, the gap to keep between items (default: 0).
+ * @param {Array<point>} [options.containerPolygon] - a polygon that the points must stay inside (default: no container).
+ * @param {String} [options.containerBehaviour] - 'clamp' or 'reflect' points that cross the container's edge (default: 'clamp').
+ * @param {Array<Array<Number>>} [options.containerSizes] - the half width and half height [hw, hh] of each point's item, to keep the whole item inside `containerPolygon` (default: only the points are kept inside).
+ * @param {String} [options.axis] - the direction of the spread: 'both', 'x', 'y' or 'angle' (default: 'both').
+ * @param {Number} [options.axisAngle] - when `axis` is 'angle', the direction of the spread, in degrees (default: 0).
+ * @param {Number} [options.forceMultiplierX] - the horizontal force is multiplied by this (default: 1).
+ * @param {Number} [options.forceMultiplierY] - the vertical force is multiplied by this (default: 1).
+ * @param {Array<Boolean>} [options.fixed] - points flagged true repel the other points, but don't move (default: all points move).
+ * @param {Number} [options.coincidentTolerance] - points closer than this are treated as coincident, and separated before distributing (default: 0.01).
+ * @param {Number} [options.seed] - the seed used to separate coincident points; the same seed always gives the same result (default: 1).
+ * @param {Number} [options.convergenceThreshold] - stop early when no point moves further than this in a step; 0 means do every step (default: 0.01).
+ * @param {Function} [options.shouldStop] - called between steps; return true to stop, returning the points as they are (default: never stop).
+ * @returns {Array<point>} - the points; also sets `options.stepsUsed`, `options.converged` and `options.stopped`.
+ */
+function distributePoints(options) {
+
+    options = options || {};
+
+    var maxIterations = options.maxIterations || 1,
+        points = copyPoints(options.points),
+        spread = options.spread || 0.5,
+        damping = options.damping || 0.3,
+        anchorStiffness = options.anchorStiffness || 0,
+        radius = options.radius || 100,
+        falloff = options.falloff || 'constant',
+        maxSteps = options.maxSteps || 500,
+        scaleFactor = options.scaleFactor || 1,
+        useSpatialGrid = false !== options.useSpatialGrid,
+        sizes = options.sizes,
+        isCircle = 'circle' === options.repulsionShape,
+        minimumGap = options.minimumGap || 0,
+        containerPolygon = options.containerPolygon,
+        containerSizes = options.containerSizes || [],
+        reflect = 'reflect' === options.containerBehaviour,
+        axis = options.axis || 'both',
+        axisVector = getAxisVector(axis, options.axisAngle),
+        multiplierX = undefined == options.forceMultiplierX ? 1 : options.forceMultiplierX,
+        multiplierY = undefined == options.forceMultiplierY ? 1 : options.forceMultiplierY,
+        fixed = options.fixed || [],
+        origins = copyPoints(points),
+        coincidentTolerance = undefined == options.coincidentTolerance ? 0.01 : options.coincidentTolerance,
+        random = getSeededRandom(undefined == options.seed ? 1 : options.seed),
+        convergenceThreshold = undefined == options.convergenceThreshold ? 0.01 : options.convergenceThreshold,
+        stepsUsed = 0,
+        converged = false,
+        stopped = false,
+        keepWithinBounds = true === options.keepWithinBounds ? 'stretch' : options.keepWithinBounds || 'none',
+        bounds = 'none' !== keepWithinBounds || 1 != scaleFactor ? getPointsBounds(points) : undefined;
+
+    if (sizes) {
+
+        var circleRadii = [],
+            largestSize = 0;
+
+        for (var i = 0; i < sizes.length; i++) {
+            circleRadii[i] = Math.sqrt(sizes[i][0] * sizes[i][0] + sizes[i][1] * sizes[i][1]);
+            largestSize = Math.max(largestSize, isCircle ? circleRadii[i] : Math.max(sizes[i][0], sizes[i][1]));
+        }
+
+        // the furthest apart that two items can be and still overlap
+        radius = Math.max(0.001, largestSize * 2 + minimumGap);
+
+    }
+
+    // items stacked in the same place feel no force, so fan them out first
+    separateCoincidentPoints(points, fixed, coincidentTolerance, Math.max(coincidentTolerance * 2, radius / 20), random, axisVector);
+
+    // progress bar
+    var pb = options.pb,
+        updateInterval = Math.floor(maxSteps / 10),
+        nextUpdate = updateInterval;
+
+    // when not using the grid, every point is a neighbour
+    var allIndices = [];
+
+    for (var i = 0; i < points.length; i++)
+        allIndices[i] = i;
+
+    iterationsLoop:
+    for (var k = 0; k < maxIterations; k++) {
+
+        if (containerPolygon) {
+            // start with every point inside the container
+            constrainPointsToPolygon(points, containerPolygon, false, containerSizes);
+            restoreFixedPoints(points, origins, fixed);
+        }
+
+        nextUpdate = updateInterval;
+        converged = false;
+
+        for (var step = 0, grid, neighbours, point, x, y, otherPoint, forceX, forceY, dx, dy, distance, spread, spreadAmount, overlap, overlapX, overlapY, moveX, moveY, along, angle, maxMoveSquared; step < maxSteps; step++) {
+
+            if (pb && nextUpdate === step) {
+                pb.update(k * maxSteps + step);
+                nextUpdate += updateInterval;
+            }
+
+            if (
+                options.shouldStop
+                && options.shouldStop()
+            ) {
+                // stopped by the user, so leave the points as they are
+                stopped = true;
+                break iterationsLoop;
+            }
+
+            // the largest (squared) distance moved by any point during this step
+            maxMoveSquared = 0;
+
+            if (useSpatialGrid)
+                // rebuild the grid each step, from the current points
+                grid = getSpatialGrid(points, radius);
+
+            for (var i = 0; i < points.length; i++) {
+
+                if (fixed[i])
+                    // fixed points don't move
+                    continue;
+
+                point = points[i];
+                forceX = 0;
+                forceY = 0;
+
+                neighbours = useSpatialGrid
+                    ? getSpatialGridNeighbours(grid, point, radius)
+                    : allIndices;
+
+                for (var n = 0, j; n < neighbours.length; n++) {
+
+                    j = neighbours[n];
+
+                    if (i === j)
+                        // don't compare to self
+                        continue;
+
+                    otherPoint = points[j];
+                    dx = point[0] - otherPoint[0];
+                    dy = point[1] - otherPoint[1];
+                    distance = Math.sqrt(dx * dx + dy * dy);
+
+                    if (0 === distance) {
+                        // exactly coincident, so push in a random, but reproducible, direction
+                        angle = random() * 2 * Math.PI;
+                        distance = Math.max(coincidentTolerance, 0.001);
+                        dx = Math.cos(angle) * distance;
+                        dy = Math.sin(angle) * distance;
+                    }
+
+                    if (sizes) {
+
+                        if (isCircle) {
+
+                            overlap = circleRadii[i] + circleRadii[j] + minimumGap - distance;
+
+                            if (overlap > 0) {
+                                // push apart along the line between centers, sharing the overlap
+                                spreadAmount = Math.min(spread, overlap / 2) / distance;
+                                forceX += spreadAmount * dx;
+                                forceY += spreadAmount * dy;
+                            }
+
+                            continue;
+
+                        }
+
+                        overlapX = sizes[i][0] + sizes[j][0] + minimumGap - Math.abs(dx);
+                        overlapY = sizes[i][1] + sizes[j][1] + minimumGap - Math.abs(dy);
+
+                        if (
+                            overlapX <= 0
+                            || overlapY <= 0
+                        )
+                            // rectangles don't overlap
+                            continue;
+
+                        // push apart along the axis that needs the least movement
+                        if (
+                            0 !== dx
+                            && (overlapX < overlapY || 0 === dy)
+                        )
+                            forceX += (dx < 0 ? -1 : 1) * Math.min(spread, overlapX / 2);
+                        else
+                            forceY += (dy < 0 ? -1 : 1) * Math.min(spread, overlapY / 2);
+
+                    }
+
+                    else if (
+                        distance > 0
+                        && distance < radius
+                    ) {
+                        // assign a repulsion
+                        spreadAmount = spread * getFalloffFactor(falloff, distance, radius) / distance;
+                        forceX += spreadAmount * dx;
+                        forceY += spreadAmount * dy;
+                    }
+
+                }
+
+                // update point
+                x = point[0];
+                y = point[1];
+
+                moveX = damping * forceX * multiplierX;
+                moveY = damping * forceY * multiplierY;
+
+                if (anchorStiffness) {
+                    // spring back towards the original position
+                    moveX += damping * anchorStiffness * (origins[i][0] - point[0]);
+                    moveY += damping * anchorStiffness * (origins[i][1] - point[1]);
+                }
+
+                if (axisVector) {
+                    // only move along the axis
+                    along = moveX * axisVector[0] + moveY * axisVector[1];
+                    moveX = along * axisVector[0];
+                    moveY = along * axisVector[1];
+                }
+
+                point[0] += moveX;
+                point[1] += moveY;
+
+                if (containerPolygon)
+                    constrainPointToPolygon(point, containerPolygon, reflect, containerSizes[i]);
+
+                if (useSpatialGrid)
+                    // keep the grid current, so that later points see this point's new position
+                    moveInSpatialGrid(grid, i, [x, y], point, radius);
+
+                maxMoveSquared = Math.max(maxMoveSquared, (point[0] - x) * (point[0] - x) + (point[1] - y) * (point[1] - y));
+
+            }
+
+            stepsUsed++;
+
+            if (maxMoveSquared < convergenceThreshold * convergenceThreshold) {
+                // the points have settled
+                converged = true;
+                break;
+            }
+
+        }
+
+        if ('none' !== keepWithinBounds) {
+            // scale points to fit within original bounds
+            points = scalePointsToBoundingBox(points, bounds, keepWithinBounds, options.boundsPadding);
+        }
+
+        else if (1 != scaleFactor) {
+            // scale points by scaleFactor
+            points = scalePoints(points, scaleFactor, options.center);
+        }
+
+        if (axisVector)
+            // scaling may have moved points off their axes
+            projectPointsOntoAxis(points, origins, axis, axisVector);
+
+        if (containerPolygon)
+            // scaling may have pushed points outside the container
+            constrainPointsToPolygon(points, containerPolygon, false, containerSizes);
+
+        // scaling may have moved the fixed points
+        restoreFixedPoints(points, origins, fixed);
+
+    }
+
+    if (pb)
+        pb.update(maxSteps * maxIterations);
+
+    options.stepsUsed = stepsUsed;
+    options.converged = converged;
+    options.stopped = stopped;
+
+    return points;
+
+};
+
+/**
+ * Distribute points evenly over a region, using Lloyd's algorithm
+ * (centroidal Voronoi relaxation). The region is sampled with an
+ * even grid of sample points, then, each iteration, every sample is
+ * assigned to its nearest point, and each point is moved to the
+ * centroid of its samples, ie. the center of its Voronoi cell.
+ * The region is `containerPolygon`, or else the bounds of the points.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Object} options
+ * @param {Array<point>} options.points - array of items' points [x, y] to distribute.
+ * @param {Number} [options.lloydIterations] - the number of relaxation iterations (default: 20).
+ * @param {Number} [options.lloydSamplesPerPoint] - the number of region samples per point; more is more accurate, but slower (default: 30).
+ * @param {Array<point>} [options.containerPolygon] - the region to cover (default: the bounds of the points).
+ * @param {Array<Array<Number>>} [options.containerSizes] - the half width and half height [hw, hh] of each point's item; finally, the whole of each item is moved inside `containerPolygon`.
+ * @param {Array<Boolean>} [options.fixed] - points flagged true keep their cells, but don't move (default: all points move).
+ * @param {Number} [options.convergenceThreshold] - stop early when no point moves further than this in an iteration; 0 means do every iteration (default: 0.01).
+ * @param {Function} [options.shouldStop] - called between iterations; return true to stop, returning the points as they are (default: never stop).
+ * @returns {Array<point>} - the points; also sets `options.stepsUsed`, `options.converged` and `options.stopped`.
+ */
+function relaxPoints(options) {
+
+    options = options || {};
+
+    var points = copyPoints(options.points),
+        iterations = options.lloydIterations || 20,
+        samplesPerPoint = options.lloydSamplesPerPoint || 30,
+        fixed = options.fixed || [],
+        convergenceThreshold = undefined == options.convergenceThreshold ? 0.01 : options.convergenceThreshold,
+        polygon = options.containerPolygon,
+        pb = options.pb,
+        stepsUsed = 0,
+        converged = false,
+        stopped = false;
+
+    if (0 === points.length) {
+        // nothing to relax, and no spacing to sample at
+        options.stepsUsed = stepsUsed;
+        options.converged = converged;
+        options.stopped = stopped;
+        return points;
+    }
+
+    // the region's bounds [L, B, R, T]
+    var bounds = getPointsBounds(polygon || points),
+        width = bounds[2] - bounds[0],
+        height = bounds[3] - bounds[1];
+
+    if (!polygon) {
+
+        // avoid a region with no area, eg. when the points are in a line
+        var pad = Math.max(width, height, 1) / Math.max(2, points.length);
+
+        if (width < pad) {
+            bounds[0] -= pad / 2;
+            bounds[2] += pad / 2;
+            width = bounds[2] - bounds[0];
+        }
+
+        if (height < pad) {
+            bounds[1] -= pad / 2;
+            bounds[3] += pad / 2;
+            height = bounds[3] - bounds[1];
+        }
+
+    }
+
+    // an even grid of samples covering the region
+    var samples = [],
+        sampleSpacing = Math.sqrt(width * height / (points.length * samplesPerPoint));
+
+    for (var x = bounds[0] + sampleSpacing / 2; x < bounds[2]; x += sampleSpacing)
+        for (var y = bounds[1] + sampleSpacing / 2; y < bounds[3]; y += sampleSpacing)
+            if (!polygon || pointIsInPolygon([x, y], polygon))
+                samples.push([x, y]);
+
+    // the grid cell size used to find the nearest point, ie. the average spacing of the points
+    var cellSize = Math.sqrt(width * height / points.length),
+        maxRing = Math.ceil(Math.max(width, height) / cellSize) + 1;
+
+    for (var iteration = 0; iteration < iterations; iteration++) {
+
+        if (pb)
+            pb.update(iteration);
+
+        if (
+            options.shouldStop
+            && options.shouldStop()
+        ) {
+            stopped = true;
+            break;
+        }
+
+        var grid = getSpatialGrid(points, cellSize),
+            sumX = [],
+            sumY = [],
+            counts = [];
+
+        for (var i = 0; i < points.length; i++) {
+            sumX[i] = 0;
+            sumY[i] = 0;
+            counts[i] = 0;
+        }
+
+        // assign each sample to its nearest point
+        for (var s = 0, nearest; s < samples.length; s++) {
+
+            nearest = getNearestIndex(grid, points, samples[s], cellSize, maxRing);
+
+            sumX[nearest] += samples[s][0];
+            sumY[nearest] += samples[s][1];
+            counts[nearest]++;
+
+        }
+
+        // move each point to the centroid of its samples
+        for (var i = 0, maxMoveSquared = 0, cx, cy; i < points.length; i++) {
+
+            if (
+                fixed[i]
+                || 0 === counts[i]
+            )
+                continue;
+
+            cx = sumX[i] / counts[i];
+            cy = sumY[i] / counts[i];
+
+            maxMoveSquared = Math.max(maxMoveSquared, (cx - points[i][0]) * (cx - points[i][0]) + (cy - points[i][1]) * (cy - points[i][1]));
+
+            points[i][0] = cx;
+            points[i][1] = cy;
+
+        }
+
+        stepsUsed++;
+
+        if (maxMoveSquared < convergenceThreshold * convergenceThreshold) {
+            // the points have settled
+            converged = true;
+            break;
+        }
+
+    }
+
+    if (
+        polygon
+        && options.containerSizes
+    ) {
+
+        // a cell's centroid is inside the region, but its item may not be
+        for (var i = 0; i < points.length; i++)
+            if (!fixed[i])
+                constrainPointToPolygon(points[i], polygon, false, options.containerSizes[i]);
+
+    }
+
+    if (pb)
+        pb.update(iterations);
+
+    options.stepsUsed = stepsUsed;
+    options.converged = converged;
+    options.stopped = stopped;
+
+    return points;
+
+};
+
+/**
+ * Returns the index of the point nearest to `target`,
+ * searching outwards, one ring of grid cells at a time.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Object} grid - a grid of `points` made by `getSpatialGrid`.
+ * @param {Array<point>} points - the points [x, y].
+ * @param {point} target - the point [x, y] to search from.
+ * @param {Number} cellSize - the grid's cell size.
+ * @param {Number} maxRing - the furthest ring to search.
+ * @param {Number} [excludeIndex] - the index of a point to ignore, eg. the target itself.
+ * @returns {Number}
+ */
+function getNearestIndex(grid, points, target, cellSize, maxRing, excludeIndex) {
+
+    var column = Math.floor(target[0] / cellSize),
+        row = Math.floor(target[1] / cellSize),
+        nearest = -1,
+        nearestDistance = Infinity;
+
+    for (var ring = 0; ring <= maxRing; ring++) {
+
+        for (var c = column - ring; c <= column + ring; c++) {
+
+            for (var r = row - ring, cell; r <= row + ring; r++) {
+
+                if (
+                    Math.abs(c - column) !== ring
+                    && Math.abs(r - row) !== ring
+                )
+                    // only the cells on the edge of this ring
+                    continue;
+
+                cell = grid[c + ',' + r];
+
+                if (undefined == cell)
+                    continue;
+
+                for (var n = 0, j, dx, dy, distance; n < cell.length; n++) {
+
+                    j = cell[n];
+
+                    if (j === excludeIndex)
+                        continue;
+
+                    dx = points[j][0] - target[0];
+                    dy = points[j][1] - target[1];
+                    distance = dx * dx + dy * dy;
+
+                    if (distance < nearestDistance) {
+                        nearest = j;
+                        nearestDistance = distance;
+                    }
+
+                }
+
+            }
+
+        }
+
+        // any point in the next ring is at least `ring` cells away
+        if (
+            -1 !== nearest
+            && Math.sqrt(nearestDistance) <= ring * cellSize
+        )
+            break;
+
+    }
+
+    return nearest;
+
+};
+
+/**
+ * Moves each point to a cell of a square or hexagonal lattice,
+ * one point per cell, displacing the points as little as possible.
+ * Points are assigned greedily, the closest point-cell pairs first,
+ * searching further rings of cells for any points left over.
+ * Fixed points don't move, but occupy their nearest cell. Any
+ * points still unassigned after the furthest ring are left where
+ * they were, and counted.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<point>} points - the points [x, y] to snap.
+ * @param {Array<Boolean>} [fixed] - points flagged true don't move.
+ * @param {String} lattice - 'square' or 'hex'.
+ * @param {Number} pitch - the distance between neighbouring cells.
+ * @param {Array<point>} [polygon] - only cells inside this polygon are used.
+ * @returns {Number} - the number of points left unsnapped; the points are snapped in place.
+ */
+function snapPointsToLattice(points, fixed, lattice, pitch, polygon) {
+
+    fixed = fixed || [];
+
+    if (!(pitch > 0)) {
+
+        // no lattice, so none of the movable points are snapped
+        var count = 0;
+
+        for (var i = 0; i < points.length; i++)
+            if (!fixed[i])
+                count++;
+
+        return count;
+
+    }
+
+    var isHex = 'hex' === lattice,
+        rowHeight = isHex ? pitch * Math.sqrt(3) / 2 : pitch,
+        bounds = getPointsBounds(points),
+        originX = bounds[0],
+        originY = bounds[1],
+        taken = {},
+        remaining = [];
+
+    // fixed points occupy their cells
+    for (var i = 0; i < points.length; i++) {
+
+        if (fixed[i])
+            taken[getNearestCell(points[i]).join(',')] = true;
+        else
+            remaining.push(i);
+
+    }
+
+    // give up on any points still unassigned after searching this far
+    var maxRing = Math.ceil(Math.sqrt(points.length)) * 2 + 2;
+
+    for (var ring = 1; remaining.length > 0 && ring <= maxRing; ring++) {
+
+        // every pair of remaining point and free cell within `ring` of the point
+        var pairs = [];
+
+        for (var n = 0; n < remaining.length; n++) {
+
+            var i = remaining[n],
+                nearest = getNearestCell(points[i]);
+
+            for (var c = nearest[0] - ring; c <= nearest[0] + ring; c++) {
+
+                for (var r = nearest[1] - ring, center, dx, dy; r <= nearest[1] + ring; r++) {
+
+                    if (taken[c + ',' + r])
+                        continue;
+
+                    center = getCellCenter(c, r);
+
+                    if (
+                        polygon
+                        && !pointIsInPolygon(center, polygon)
+                    )
+                        continue;
+
+                    dx = center[0] - points[i][0];
+                    dy = center[1] - points[i][1];
+                    pairs.push({ index: i, column: c, row: r, center: center, distance: dx * dx + dy * dy });
+
+                }
+
+            }
+
+        }
+
+        // closest pairs first; ties resolved by index, so the result is repeatable
+        pairs.sort(function (a, b) { return a.distance - b.distance || a.index - b.index; });
+
+        var assigned = {};
+
+        for (var p = 0, pair, key; p < pairs.length; p++) {
+
+            pair = pairs[p];
+            key = pair.column + ',' + pair.row;
+
+            if (
+                assigned[pair.index]
+                || taken[key]
+            )
+                continue;
+
+            points[pair.index][0] = pair.center[0];
+            points[pair.index][1] = pair.center[1];
+            assigned[pair.index] = true;
+            taken[key] = true;
+
+        }
+
+        var unassigned = [];
+
+        for (var n = 0; n < remaining.length; n++)
+            if (!assigned[remaining[n]])
+                unassigned.push(remaining[n]);
+
+        remaining = unassigned;
+
+    }
+
+    return remaining.length;
+
+    /**
+     * Returns the center of the lattice cell [column, row].
+     * @param {Number} column
+     * @param {Number} row
+     * @returns {point}
+     */
+    function getCellCenter(column, row) {
+
+        // alternate rows of a hex lattice are offset by half a cell
+        var offset = isHex && 0 !== row % 2 ? pitch / 2 : 0;
+
+        return [originX + column * pitch + offset, originY + row * rowHeight];
+
+    };
+
+    /**
+     * Returns the [column, row] of the cell nearest to `point`.
+     * @param {point} point
+     * @returns {Array<Number>}
+     */
+    function getNearestCell(point) {
+
+        var row = Math.round((point[1] - originY) / rowHeight),
+            offset = isHex && 0 !== row % 2 ? pitch / 2 : 0;
+
+        return [Math.round((point[0] - originX - offset) / pitch), row];
+
+    };
+
+};
+
+/**
+ * Returns the factor applied to the force between two points,
+ * according to the falloff model. Every model is 0 at `radius`
+ * and beyond, except 'constant', which is 1 everywhere within it.
+ *   - 'constant': the same force at any distance within the radius.
+ *   - 'linear': weakens steadily, from 1 when touching to 0 at the radius.
+ *   - 'inverseSquare': (r^2 / d^2 - 1) / 3, ie. 1 at half the radius,
+ *     much stronger close up (up to 4 times), and 0 at the radius.
+ *   - 'gaussian': a bell curve, with a standard deviation of a third of the radius.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {String} model - the falloff model.
+ * @param {Number} distance - the distance between the points.
+ * @param {Number} radius - the distribution radius.
+ * @returns {Number}
+ */
+function getFalloffFactor(model, distance, radius) {
+
+    if ('linear' === model)
+        return Math.max(0, 1 - distance / radius);
+
+    else if ('inverseSquare' === model)
+        return Math.max(0, Math.min(4, (radius * radius / (distance * distance) - 1) / 3));
+
+    else if ('gaussian' === model) {
+        var sigma = radius / 3;
+        return Math.exp(-(distance * distance) / (2 * sigma * sigma));
+    }
+
+    return 1;
+
+};
+
+/**
+ * Returns a uniform grid of the indices of `points`.
+ * The grid is an object whose keys are "column,row"
+ * strings and whose values are arrays of point indices.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<point>} points - array of points [x, y].
+ * @param {Number} cellSize - the width and height of each grid cell.
+ * @returns {Object}
+ */
+function getSpatialGrid(points, cellSize) {
+
+    var grid = {};
+
+    for (var i = 0, key; i < points.length; i++) {
+
+        key = Math.floor(points[i][0] / cellSize) + ',' + Math.floor(points[i][1] / cellSize);
+
+        if (undefined == grid[key])
+            grid[key] = [];
+
+        grid[key].push(i);
+
+    }
+
+    return grid;
+
+};
+
+/**
+ * Returns the indices of the points found in the
+ * grid cell containing `point`, and the eight cells
+ * around it. Provided that `cellSize` is no smaller
+ * than the search radius, this includes every point
+ * within that radius.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Object} grid - a grid made by `getSpatialGrid`.
+ * @param {point} point - the point [x, y] to search around.
+ * @param {Number} cellSize - the grid's cell size.
+ * @returns {Array<Number>}
+ */
+function getSpatialGridNeighbours(grid, point, cellSize) {
+
+    var neighbours = [],
+        column = Math.floor(point[0] / cellSize),
+        row = Math.floor(point[1] / cellSize);
+
+    for (var c = column - 1; c <= column + 1; c++) {
+
+        for (var r = row - 1, cell; r <= row + 1; r++) {
+
+            cell = grid[c + ',' + r];
+
+            if (undefined == cell)
+                continue;
+
+            for (var n = 0; n < cell.length; n++)
+                neighbours.push(cell[n]);
+
+        }
+
+    }
+
+    return neighbours;
+
+};
+
+/**
+ * Moves the index `i` to a different grid cell,
+ * if its point has moved from one cell to another.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Object} grid - a grid made by `getSpatialGrid`.
+ * @param {Number} i - the index of the point.
+ * @param {point} from - the point's previous position [x, y].
+ * @param {point} to - the point's new position [x, y].
+ * @param {Number} cellSize - the grid's cell size.
+ */
+function moveInSpatialGrid(grid, i, from, to, cellSize) {
+
+    var fromKey = Math.floor(from[0] / cellSize) + ',' + Math.floor(from[1] / cellSize),
+        toKey = Math.floor(to[0] / cellSize) + ',' + Math.floor(to[1] / cellSize);
+
+    if (fromKey === toKey)
+        return;
+
+    var cell = grid[fromKey];
+
+    for (var n = cell.length - 1; n >= 0; n--) {
+
+        if (i === cell[n]) {
+            cell.splice(n, 1);
+            break;
+        }
+
+    }
+
+    if (undefined == grid[toKey])
+        grid[toKey] = [];
+
+    grid[toKey].push(i);
+
+};
+
+/**
+ * Returns a function that returns a pseudo-random number 0..1.
+ * The same `seed` always gives the same sequence of numbers.
+ * Uses the Park-Miller "minimal standard" generator.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Number} seed - any number.
+ * @returns {Function}
+ */
+function getSeededRandom(seed) {
+
+    var state = Math.abs(Math.floor(seed)) % 2147483647 || 1;
+
+    return function random() {
+
+        state = (state * 16807) % 2147483647;
+        return (state - 1) / 2147483646;
+
+    };
+
+};
+
+/**
+ * Separates points that are within `tolerance` of each other.
+ * The points in each stack are fanned out in a golden-angle
+ * spiral, starting at a random (but reproducible) angle, or,
+ * when an axis is given, alternately either side along the axis.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<point>} points - the points [x, y]; will be modified.
+ * @param {Array<Boolean>} fixed - the points flagged true won't be moved.
+ * @param {Number} tolerance - points closer than this are coincident.
+ * @param {Number} spacing - the distance between points in the spiral.
+ * @param {Function} random - a function returning a random number 0..1.
+ * @param {Array<Number>} [axisVector] - the unit vector [x, y] of an axis to separate along.
+ * @returns {Array<point>}
+ */
+function separateCoincidentPoints(points, fixed, tolerance, spacing, random, axisVector) {
+
+    const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+    var cellSize = Math.max(tolerance, 0.001),
+        grid = getSpatialGrid(points, cellSize),
+        done = [];
+
+    for (var i = 0, stack, neighbours, center, startAngle; i < points.length; i++) {
+
+        if (done[i])
+            continue;
+
+        // collect the points stacked with this one
+        stack = [];
+        neighbours = getSpatialGridNeighbours(grid, points[i], cellSize);
+
+        for (var n = 0, j; n < neighbours.length; n++) {
+
+            j = neighbours[n];
+
+            if (
+                !done[j]
+                && Math.abs(points[j][0] - points[i][0]) <= tolerance
+                && Math.abs(points[j][1] - points[i][1]) <= tolerance
+            )
+                stack.push(j);
+
+        }
+
+        if (stack.length < 2)
+            continue;
+
+        // process the stack in index order, with any fixed point first, so it stays put
+        stack.sort(function (a, b) { return (fixed[b] ? 1 : 0) - (fixed[a] ? 1 : 0) || a - b; });
+
+        center = [points[stack[0]][0], points[stack[0]][1]];
+        startAngle = random() * 2 * Math.PI;
+
+        for (var k = 0, index, angle, distance; k < stack.length; k++) {
+
+            index = stack[k];
+            done[index] = true;
+
+            if (
+                0 === k
+                || fixed[index]
+            )
+                continue;
+
+            if (axisVector) {
+                // alternately either side, along the axis
+                distance = spacing * Math.ceil(k / 2) * (k % 2 ? 1 : -1);
+                points[index][0] = center[0] + distance * axisVector[0];
+                points[index][1] = center[1] + distance * axisVector[1];
+            }
+
+            else {
+                angle = startAngle + k * GOLDEN_ANGLE;
+                distance = spacing * Math.sqrt(k);
+                points[index][0] = center[0] + distance * Math.cos(angle);
+                points[index][1] = center[1] + distance * Math.sin(angle);
+            }
+
+        }
+
+    }
+
+    return points;
+
+};
+
+/**
+ * Moves each fixed point back to its original position.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<point>} points - the points [x, y]; will be modified.
+ * @param {Array<point>} origins - the original points [x, y].
+ * @param {Array<Boolean>} fixed - the points flagged true are fixed.
+ * @returns {Array<point>}
+ */
+function restoreFixedPoints(points, origins, fixed) {
+
+    for (var i = 0; i < points.length; i++) {
+
+        if (!fixed[i])
+            continue;
+
+        points[i][0] = origins[i][0];
+        points[i][1] = origins[i][1];
+
+    }
+
+    return points;
+
+};
+
+/**
+ * Returns an array of flags, one for each of `items`,
+ * where true means that the item is pinned in place.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<PageItem>} items - the items.
+ * @param {Object} options
+ * @param {Boolean} [options.pinLockedItems] - whether locked items are pinned (default: true).
+ * @param {String} [options.pinLayerName] - items on the layer with this name are pinned.
+ * @param {String} [options.pinNamePrefix] - items whose names start with this are pinned.
+ * @returns {Array<Boolean>}
+ */
+function getPinnedFlags(items, options) {
+
+    var flags = [],
+        layerName = options.pinLayerName,
+        prefix = options.pinNamePrefix;
+
+    for (var i = 0, item; i < items.length; i++) {
+
+        item = items[i];
+
+        flags[i] = (
+            (false !== options.pinLockedItems && (item.locked || item.layer.locked))
+            || (!!layerName && layerName === item.layer.name)
+            || (!!prefix && prefix === item.name.slice(0, prefix.length))
+        );
+
+    }
+
+    return flags;
+
+};
+
+/**
+ * Returns the visible, unselected, items on an artboard,
+ * ie. the items that the distributed items must flow around.
+ * Only the top level items of each layer are considered,
+ * except that a group containing a selected item is never
+ * an obstacle itself; its other items are, instead. An item
+ * whose bounds contain all of the selected items on the
+ * artboard, such as a background map or frame, is never an
+ * obstacle, because the items are meant to sit on top of it.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<PageItem>} selectedItems - the items being distributed.
+ * @param {String} [ignoreLayerName] - items on the layer with this name are not obstacles, eg. the leader lines layer.
+ * @param {Number} [artboardIndex] - the artboard's index (default: the active artboard).
+ * @returns {Array<PageItem>}
+ */
+function getObstacles(selectedItems, ignoreLayerName, artboardIndex) {
+
+    var doc = app.activeDocument,
+        artboardRect = doc.artboards[undefined == artboardIndex ? doc.artboards.getActiveArtboardIndex() : artboardIndex].artboardRect,
+        isSelected = {},
+        obstacles = [];
+
+    var containsSelected = {};
+
+    for (var i = 0, parent; i < selectedItems.length; i++) {
+
+        isSelected[selectedItems[i].uuid] = true;
+
+        // mark every group that the selected item is inside
+        parent = selectedItems[i].parent;
+
+        while (
+            parent
+            && 'GroupItem' === parent.typename
+        ) {
+            containsSelected[parent.uuid] = true;
+            parent = parent.parent;
+        }
+
+    }
+
+    // the bounds of the selected items on the artboard, or of them all
+    var selectedBounds = [];
+
+    for (var i = 0, bounds; i < selectedItems.length; i++) {
+
+        bounds = selectedItems[i].visibleBounds;
+
+        if (boundsDoIntersectIllustrator(bounds, artboardRect))
+            selectedBounds.push(bounds);
+
+    }
+
+    for (var i = 0; 0 === selectedBounds.length && i < selectedItems.length; i++)
+        selectedBounds.push(selectedItems[i].visibleBounds);
+
+    var selectionBounds = selectedBounds.length > 0 ? combineBounds(selectedBounds) : undefined;
+
+    collectObstacles(doc.layers);
+
+    return obstacles;
+
+    /**
+     * Collects obstacles from `layers` and their sublayers.
+     * @param {Layers} layers - the layers to look in.
+     */
+    function collectObstacles(layers) {
+
+        for (var i = 0, layer; i < layers.length; i++) {
+
+            layer = layers[i];
+
+            if (
+                !layer.visible
+                || (ignoreLayerName && ignoreLayerName === layer.name)
+            )
+                continue;
+
+            collectObstacleItems(layer.pageItems);
+            collectObstacles(layer.layers);
+
+        }
+
+    };
+
+    /**
+     * Collects obstacles from `items`, looking inside
+     * any group that contains a selected item.
+     * @param {PageItems} items - the items to look in.
+     */
+    function collectObstacleItems(items) {
+
+        for (var i = 0, item; i < items.length; i++) {
+
+            item = items[i];
+
+            if (
+                item.hidden
+                || item.guides
+                || isSelected[item.uuid]
+            )
+                continue;
+
+            if (containsSelected[item.uuid]) {
+                // the group's other items may be obstacles
+                collectObstacleItems(item.pageItems);
+                continue;
+            }
+
+            if (!boundsDoIntersectIllustrator(item.visibleBounds, artboardRect))
+                continue;
+
+            if (
+                selectionBounds
+                && boundsDoContainIllustrator(item.visibleBounds, selectionBounds)
+            )
+                // a background, under the items
+                continue;
+
+            obstacles.push(item);
+
+        }
+
+    };
+
+};
+
+/**
+ * Returns the unit vector [x, y] of an axis,
+ * or undefined if the axis is 'both'.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {String} axis - 'both', 'x', 'y' or 'angle'.
+ * @param {Number} [angle] - when `axis` is 'angle', the axis angle, in degrees (default: 0).
+ * @returns {Array<Number>?}
+ */
+function getAxisVector(axis, angle) {
+
+    if ('x' === axis)
+        return [1, 0];
+
+    else if ('y' === axis)
+        return [0, 1];
+
+    else if ('angle' === axis) {
+        angle = (angle || 0) * Math.PI / 180;
+        return [Math.cos(angle), Math.sin(angle)];
+    }
+
+};
+
+/**
+ * Moves each of `points` onto the axis passing
+ * through its origin, ie. the nearest point on
+ * the line through the origin in the axis direction.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<point>} points - the points [x, y]; will be modified.
+ * @param {Array<point>} origins - the original points [x, y].
+ * @param {String} axis - 'x', 'y' or 'angle'.
+ * @param {Array<Number>} axisVector - the axis unit vector [x, y].
+ * @returns {Array<point>}
+ */
+function projectPointsOntoAxis(points, origins, axis, axisVector) {
+
+    for (var i = 0, along; i < points.length; i++) {
+
+        if ('x' === axis)
+            points[i][1] = origins[i][1];
+
+        else if ('y' === axis)
+            points[i][0] = origins[i][0];
+
+        else {
+            along = (points[i][0] - origins[i][0]) * axisVector[0] + (points[i][1] - origins[i][1]) * axisVector[1];
+            points[i][0] = origins[i][0] + along * axisVector[0];
+            points[i][1] = origins[i][1] + along * axisVector[1];
+        }
+
+    }
+
+    return points;
+
+};
+
+/**
+ * Returns the topmost path, open or closed, in `items`, if any.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<PageItem>} items - the items, in selection order.
+ * @returns {PathItem?}
+ */
+function getPathItem(items) {
+
+    for (var i = 0; i < items.length; i++) {
+
+        if ('PathItem' === items[i].typename)
+            return items[i];
+
+    }
+
+};
+
+/**
+ * Returns the topmost closed path in `items`, if any.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<PageItem>} items - the items, in selection order.
+ * @returns {PathItem?}
+ */
+function getContainerItem(items) {
+
+    for (var i = 0; i < items.length; i++) {
+
+        if (
+            'PathItem' === items[i].typename
+            && items[i].closed
+        )
+            return items[i];
+
+    }
+
+};
+
+/**
+ * Returns the polygon of a container.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {String} container - 'none', 'artboard' or 'path'.
+ * @param {PathItem} [containerItem] - the closed path, required when `container` is 'path'.
+ * @param {Number} [artboardIndex] - when `container` is 'artboard', the artboard's index (default: the active artboard).
+ * @returns {Array<point>?} - the polygon, or undefined when there is no container.
+ */
+function getContainerPolygon(container, containerItem, artboardIndex) {
+
+    if ('artboard' === container) {
+
+        var doc = app.activeDocument,
+            rect = doc.artboards[undefined == artboardIndex ? doc.artboards.getActiveArtboardIndex() : artboardIndex].artboardRect;
+
+        return [[rect[0], rect[1]], [rect[2], rect[1]], [rect[2], rect[3]], [rect[0], rect[3]]];
+
+    }
+
+    else if ('path' === container) {
+
+        if (!containerItem)
+            throw new Error('getContainerPolygon: please select a closed path to use as the container.');
+
+        return getPathPolygon(containerItem);
+
+    }
+
+};
+
+/**
+ * Returns a polygon approximating a path item,
+ * by dividing each curved segment into straight lines.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {PathItem} path - an Illustrator PathItem.
+ * @param {Number} [divisions] - the number of lines per curved segment (default: 8).
+ * @returns {Array<point>}
+ */
+function getPathPolygon(path, divisions) {
+
+    divisions = divisions || 8;
+
+    var pathPoints = path.pathPoints,
+        len = pathPoints.length,
+        segmentCount = path.closed ? len : len - 1,
+        polygon = [];
+
+    for (var i = 0, p0, p1, p2, p3; i < segmentCount; i++) {
+
+        p0 = pathPoints[i].anchor;
+        p1 = pathPoints[i].rightDirection;
+        p2 = pathPoints[(i + 1) % len].leftDirection;
+        p3 = pathPoints[(i + 1) % len].anchor;
+
+        polygon.push([p0[0], p0[1]]);
+
+        if (
+            p0[0] === p1[0] && p0[1] === p1[1]
+            && p2[0] === p3[0] && p2[1] === p3[1]
+        )
+            // straight segment
+            continue;
+
+        for (var d = 1, t, mt; d < divisions; d++) {
+
+            t = d / divisions;
+            mt = 1 - t;
+
+            // cubic bezier
+            polygon.push([
+                mt * mt * mt * p0[0] + 3 * mt * mt * t * p1[0] + 3 * mt * t * t * p2[0] + t * t * t * p3[0],
+                mt * mt * mt * p0[1] + 3 * mt * mt * t * p1[1] + 3 * mt * t * t * p2[1] + t * t * t * p3[1],
+            ]);
+
+        }
+
+    }
+
+    if (!path.closed && len > 0)
+        polygon.push([pathPoints[len - 1].anchor[0], pathPoints[len - 1].anchor[1]]);
+
+    return polygon;
+
+};
+
+/**
+ * Returns true when `point` is inside `polygon`.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {point} point - the point [x, y] to test.
+ * @param {Array<point>} polygon - the polygon's points [x, y].
+ * @returns {Boolean}
+ */
+function pointIsInPolygon(point, polygon) {
+
+    var x = point[0],
+        y = point[1],
+        inside = false;
+
+    // count the edges crossed by a horizontal ray from the point
+    for (var i = 0, j = polygon.length - 1, a, b; i < polygon.length; j = i++) {
+
+        a = polygon[i];
+        b = polygon[j];
+
+        if (
+            (a[1] > y) !== (b[1] > y)
+            && x < (b[0] - a[0]) * (y - a[1]) / (b[1] - a[1]) + a[0]
+        )
+            inside = !inside;
+
+    }
+
+    return inside;
+
+};
+
+/**
+ * Returns the point on the edge of `polygon` nearest to `point`.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {point} point - the point [x, y].
+ * @param {Array<point>} polygon - the polygon's points [x, y].
+ * @returns {point}
+ */
+function getNearestPointOnPolygon(point, polygon) {
+
+    var nearest,
+        nearestDistance = Infinity;
+
+    for (var i = 0, j = polygon.length - 1, a, b, abX, abY, lengthSquared, t, x, y, distance; i < polygon.length; j = i++) {
+
+        a = polygon[j];
+        b = polygon[i];
+        abX = b[0] - a[0];
+        abY = b[1] - a[1];
+        lengthSquared = abX * abX + abY * abY;
+
+        // the position of the projected point along the edge, 0..1
+        t = 0 === lengthSquared
+            ? 0
+            : Math.max(0, Math.min(1, ((point[0] - a[0]) * abX + (point[1] - a[1]) * abY) / lengthSquared));
+
+        x = a[0] + t * abX;
+        y = a[1] + t * abY;
+        distance = (point[0] - x) * (point[0] - x) + (point[1] - y) * (point[1] - y);
+
+        if (distance < nearestDistance) {
+            nearest = [x, y];
+            nearestDistance = distance;
+        }
+
+    }
+
+    return nearest;
+
+};
+
+/**
+ * Moves `point` back inside `polygon`, if it is outside. When
+ * `halfSize` is given, `point` is the center of an item of that
+ * size, and is then moved so that the whole item is inside.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {point} point - the point [x, y] to constrain; will be modified.
+ * @param {Array<point>} polygon - the polygon's points [x, y].
+ * @param {Boolean} [reflect] - whether to reflect the point back inside, rather than clamp it to the edge (default: false).
+ * @param {Array<Number>} [halfSize] - the item's half width and half height [hw, hh].
+ * @returns {point}
+ */
+function constrainPointToPolygon(point, polygon, reflect, halfSize) {
+
+    if (!pointIsInPolygon(point, polygon)) {
+
+        var edge = getNearestPointOnPolygon(point, polygon);
+
+        if (reflect) {
+
+            // mirror the point about the edge
+            var reflected = [2 * edge[0] - point[0], 2 * edge[1] - point[1]];
+
+            if (pointIsInPolygon(reflected, polygon))
+                edge = reflected;
+
+        }
+
+        point[0] = edge[0];
+        point[1] = edge[1];
+
+    }
+
+    if (halfSize)
+        constrainBoxToPolygon(point, halfSize, polygon);
+
+    return point;
+
+};
+
+/**
+ * Moves any of `points` that are outside `polygon` back inside.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<point>} points - the points [x, y] to constrain; will be modified.
+ * @param {Array<point>} polygon - the polygon's points [x, y].
+ * @param {Boolean} [reflect] - whether to reflect the points back inside (default: false).
+ * @param {Array<Array<Number>>} [halfSizes] - the half width and half height [hw, hh] of each point's item.
+ * @returns {Array<point>}
+ */
+function constrainPointsToPolygon(points, polygon, reflect, halfSizes) {
+
+    for (var i = 0; i < points.length; i++)
+        constrainPointToPolygon(points[i], polygon, reflect, halfSizes && halfSizes[i]);
+
+    return points;
+
+};
+
+/**
+ * Moves `center` so that the box around it, of `halfSize`, is
+ * inside `polygon`, by moving each corner that is outside back
+ * to the polygon's edge. A box as wide, or as tall, as the
+ * polygon is centered on the polygon, in that direction.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {point} center - the box's center [x, y]; will be modified.
+ * @param {Array<Number>} halfSize - the box's half width and half height [hw, hh].
+ * @param {Array<point>} polygon - the polygon's points [x, y].
+ * @returns {point}
+ */
+function constrainBoxToPolygon(center, halfSize, polygon) {
+
+    // moves smaller than this are just rounding errors
+    const TOLERANCE = 0.001,
+        MAX_PASSES = 4,
+        CORNERS = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+
+    var polygonBounds = getPointsBounds(polygon),
+        fits = [];
+
+    for (var k = 0; k < 2; k++) {
+
+        fits[k] = halfSize[k] * 2 < polygonBounds[k + 2] - polygonBounds[k];
+
+        if (!fits[k])
+            // can't fit, so there is only one place for it
+            center[k] = (polygonBounds[k] + polygonBounds[k + 2]) / 2;
+
+    }
+
+    for (var pass = 0; pass < MAX_PASSES; pass++) {
+
+        // the largest moves needed in each direction, [x, y]
+        var least = [0, 0],
+            most = [0, 0];
+
+        for (var c = 0, corner, edge; c < CORNERS.length; c++) {
+
+            corner = [center[0] + CORNERS[c][0] * halfSize[0], center[1] + CORNERS[c][1] * halfSize[1]];
+
+            if (pointIsInPolygon(corner, polygon))
+                continue;
+
+            edge = getNearestPointOnPolygon(corner, polygon);
+
+            for (var k = 0; k < 2; k++) {
+                least[k] = Math.min(least[k], edge[k] - corner[k]);
+                most[k] = Math.max(most[k], edge[k] - corner[k]);
+            }
+
+        }
+
+        var moved = false;
+
+        for (var k = 0, move; k < 2; k++) {
+
+            if (!fits[k])
+                continue;
+
+            move = -least[k] > most[k] ? least[k] : most[k];
+
+            if (Math.abs(move) > TOLERANCE) {
+                center[k] += move;
+                moved = true;
+            }
+
+        }
+
+        if (!moved)
+            break;
+
+    }
+
+    return center;
+
+};
+
+/**
+ * Returns an estimate of the number of point comparisons
+ * that `distributePoints` will perform. Each step costs
+ * one grid insertion per point, plus a comparison with
+ * each point in the nine grid cells around it, which we
+ * estimate from the density of the points within `bounds`.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Number} count - the number of points.
+ * @param {Array<Number>} bounds - the bounds of the points.
+ * @param {Number} radius - the distribution radius (and grid cell size).
+ * @param {Number} maxSteps - the number of steps.
+ * @param {Number} maxIterations - the number of iterations.
+ * @param {Boolean} [useSpatialGrid] - whether the grid is used (default: true).
+ * @returns {Number}
+ */
+function estimateOperations(count, bounds, radius, maxSteps, maxIterations, useSpatialGrid) {
+
+    if (false === useSpatialGrid)
+        return count * count * maxSteps * maxIterations;
+
+    // the area of the points' bounds, padded by the radius to avoid degenerate bounds
+    var area = (Math.abs(bounds[2] - bounds[0]) + radius) * (Math.abs(bounds[3] - bounds[1]) + radius),
+
+        // the expected number of points found in the nine cells around each point
+        neighbours = Math.min(count, count * 9 * radius * radius / area);
+
+    return Math.round(count * (1 + neighbours) * maxSteps * maxIterations);
+
+};
+
+/**
+ * Estimates the spread value based on the median distance between `points`.
+ * @author m1b
+ * @version 2024-11-11
+ * @param {Array<point>} points - array of points [x, y].
+ * @param {Number} [max] - the number of measurements (default: all).
+ * @returns {Number}
+ */
+function getMedianDistanceBetween(points, max) {
+
+    max = max || 2000;
+
+    var distances = [];
+
+    // calculate the distances
+    for (var i = 0, test = 0; i < points.length - 1; i++) {
+
+        if (test > max)
+            break;
+
+        for (var j = i + 1, dx, dy; j < points.length; j++, test++) {
+
+            dx = points[i][0] - points[j][0];
+            dy = points[i][1] - points[j][1];
+            distances.push(Math.sqrt(dx * dx + dy * dy));
+
+        }
+
+    }
+
+    // sort
+    distances.sort();
+
+    return getMedianValue(distances);
+
+};
+
+/**
+ * Returns array of diagonal `sizes` of `items`.
+ * `size` is the diagonal dimension of each item's bounds.
+ * @param {Array<PageItem>} items - the items.
+ * @returns {Number}
+ */
+function getMedianSize(items) {
+
+    var sizes = [];
+
+    for (var i = 0, item, size; i < items.length; i++) {
+
+        item = items[i];
+        size = Math.sqrt(item.width * item.height);
+        sizes.push(size);
+
+    }
+
+    return getMedianValue(sizes);
+
+};
+
+/**
+ * Returns the largest width or height of `items`.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<PageItem>} items - the items.
+ * @returns {Number}
+ */
+function getLargestSize(items) {
+
+    var largest = 0;
+
+    for (var i = 0; i < items.length; i++)
+        largest = Math.max(largest, items[i].width, items[i].height);
+
+    return largest;
+
+};
+
+/**
+ * Returns median value of an array of numbers.
+ * @author m1b
+ * @version 2024-11-11
+ * @param {Array<Number>} values - array of numbers.
+ * @returns {Number}
+ */
+function getMedianValue(values) {
+
+    values.sort(function (a, b) { return a - b; });
+
+    var median,
+        mid = Math.floor(values.length / 2);
+
+    // get middle element, or an average of the two middle elements
+    if (values.length % 2 === 0)
+        median = (values[mid - 1] + values[mid]) / 2;
+    else
+        median = values[mid];
+
+    return median;
+
+};
+
+/**
+ * Returns array of center points [cx, cy] of items.
+ * @author m1b
+ * @version 2024-09-14
+ * @param {Array<PageItem>} items - the items.
+ * @returns {Array<point>}
+ */
+function getCenters(items) {
+
+    var centers = [];
+
+    for (var i = 0; i < items.length; i++)
+        centers[i] = centerOfBounds(getItemBounds(items[i]), false);
+
+    return centers;
+
+};
+
+/**
+ * Returns array of half sizes [hw, hh] of items,
+ * ie. half the width and half the height of each item's bounds.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<PageItem>} items - the items.
+ * @returns {Array<Array<Number>>}
+ */
+function getHalfSizes(items) {
+
+    var sizes = [];
+
+    for (var i = 0, bounds; i < items.length; i++) {
+        bounds = getItemBounds(items[i], false);
+        sizes[i] = [Math.abs(bounds[2] - bounds[0]) / 2, Math.abs(bounds[1] - bounds[3]) / 2];
+    }
+
+    return sizes;
+
+};
+
+/**
+ * Returns point at center of bounds.
+ * Works with Illustrator or Indesign bounds.
+ * @author m1b
+ * @version 2024-11-14
+ * @param {Array<Number>} bounds - a bounds array.
+ * @returns {point} - point [x, y].
+ */
+function centerOfBounds(bounds) {
+
+    if (/indesign/i.test(app.name))
+
+        return [
+            (bounds[1] + bounds[3]) / 2,
+            (bounds[0] + bounds[2]) / 2
+        ];
+
+    else if (/illustrator/i.test(app.name))
+
+        return [
+            (bounds[0] + bounds[2]) / 2,
+            (bounds[1] + bounds[3]) / 2
+        ];
+
+};
+
+/**
+ * Returns bounds of item(s).
+ * @author m1b
+ * @version 2026-10-19
+ * Attempts to get correct bounds
+ * of clipped groups.
+ * While a bounds cache is active (see `startBoundsCache`),
+ * each item is measured only once; after that, its bounds
+ * are moved by however far the item has moved since.
+ * @param {PageItem|Array<PageItem>} item - an Illustrator PageItem or array of PageItems.
+ * @param {Boolean} [geometric] - if false, returns visible bounds.
+ * @param {Array} [bounds] - @private parameter, used when recursing.
+ * @returns {Array} - the calculated bounds.
+ */
+function getItemBounds(item, geometric, bounds) {
+
+    var newBounds = [],
+        boundsKey = geometric ? 'geometricBounds' : 'visibleBounds',
+        cache = getItemBounds.cache;
+
+    if (undefined == item)
+        return;
+
+    // groups aren't cached, because their children may move independently
+    var cacheKey = (
+        cache
+        && undefined == bounds
+        && item.uuid
+        && item.position
+        && 'GroupItem' !== item.typename
+    )
+        ? item.uuid + boundsKey
+        : undefined;
+
+    if (
+        cacheKey
+        && cache.entries[cacheKey]
+    )
+        return getMovedBounds(cache.entries[cacheKey], item.position);
+
+    if (
+        item.typename == 'GroupItem'
+        || item.constructor.name == 'Array'
+    ) {
+
+        var children = item.typename == 'GroupItem' ? item.pageItems : item,
+            contentBounds = [],
+            isClippingGroup = (item.hasOwnProperty('clipped') && item.clipped == true),
+            clipBounds;
+
+        for (var i = 0, child; i < children.length; i++) {
+
+            child = children[i];
+
+            if (
+                child.hasOwnProperty('clipping')
+                && true === child.clipping
+            )
+                // the clipping item
+                clipBounds = child.geometricBounds;
+
+            else
+                contentBounds.push(getItemBounds(child, geometric, bounds));
+
+        }
+
+        newBounds = combineBounds(contentBounds);
+
+        if (isClippingGroup)
+            newBounds = intersectionOfBounds([clipBounds, newBounds]);
+
+    }
+
+    else if (
+        item.typename == 'TextFrame'
+        && cache
+        && cache.fastText
+    ) {
+
+        // the fast approximation: the text frame's own bounds
+        newBounds = item.geometricBounds;
+
+    }
+
+    else if (item.typename == 'TextFrame') {
+
+        // get bounds of outlined text
+        var dup = item.duplicate().createOutline();
+        newBounds = dup[boundsKey];
+        dup.remove();
+
+    }
+
+    else if (item.hasOwnProperty(boundsKey)) {
+
+        newBounds = item[boundsKey];
+
+    }
+
+    if (cacheKey)
+        cache.entries[cacheKey] = { bounds: newBounds, position: item.position };
+
+    // `bounds` will exist if this is a recursive execution
+    bounds = (undefined == bounds)
+        ? bounds = newBounds
+        : bounds = combineBounds([newBounds, bounds]);
+
+    return bounds;
+
+    /**
+     * Returns cached bounds, moved by however far
+     * the item has moved since it was measured.
+     * @param {Object} entry - the cache entry: { bounds, position }.
+     * @param {point} position - the item's current position.
+     * @returns {Array}
+     */
+    function getMovedBounds(entry, position) {
+
+        var dx = position[0] - entry.position[0],
+            dy = position[1] - entry.position[1];
+
+        return [entry.bounds[0] + dx, entry.bounds[1] + dy, entry.bounds[2] + dx, entry.bounds[3] + dy];
+
+    };
+
+};
+
+/**
+ * Starts caching item bounds, so that `getItemBounds` measures
+ * each item only once. Text frames in `items`, including inside
+ * groups, are measured together: they are duplicated into a
+ * temporary layer, outlined, measured, and removed with the layer.
+ * A text frame that can't be outlined is measured by its own bounds.
+ * With `fastText`, text frames aren't outlined; their geometric
+ * bounds are used instead, which is faster but approximate.
+ * Does nothing if a cache with the same `fastText` is active.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<PageItem>} items - the items to be measured.
+ * @param {Boolean} [fastText] - whether to use the fast approximation for text frames (default: false).
+ * @returns {Boolean} - true when a new cache was started.
+ */
+function startBoundsCache(items, fastText) {
+
+    fastText = true === fastText;
+
+    if (
+        getItemBounds.cache
+        && fastText === getItemBounds.cache.fastText
+    )
+        return false;
+
+    var cache = getItemBounds.cache = {
+        fastText: fastText,
+        entries: {},
+    };
+
+    if (fastText)
+        return true;
+
+    var textFrames = [];
+    collectTextFrames(items);
+
+    if (0 === textFrames.length)
+        return true;
+
+    var temporaryLayer = app.activeDocument.layers.add();
+    temporaryLayer.name = 'Distribute Items (temporary)';
+
+    try {
+
+        for (var i = 0, frame, outline; i < textFrames.length; i++) {
+
+            frame = textFrames[i];
+
+            try {
+                outline = frame.duplicate(temporaryLayer, ElementPlacement.PLACEATEND).createOutline();
+            }
+
+            catch (error) {
+                // eg. an empty text frame, which can't be outlined
+                outline = frame;
+            }
+
+            cache.entries[frame.uuid + 'visibleBounds'] = { bounds: outline.visibleBounds, position: frame.position };
+            cache.entries[frame.uuid + 'geometricBounds'] = { bounds: outline.geometricBounds, position: frame.position };
+
+        }
+
+    }
+
+    finally {
+        // remove every outline at once, whatever happened
+        temporaryLayer.remove();
+    }
+
+    return true;
+
+    /**
+     * Collects the text frames in `items`, and inside groups.
+     * @param {Array<PageItem>|PageItems} items
+     */
+    function collectTextFrames(items) {
+
+        for (var i = 0; i < items.length; i++) {
+
+            if ('TextFrame' === items[i].typename)
+                textFrames.push(items[i]);
+
+            else if ('GroupItem' === items[i].typename)
+                collectTextFrames(items[i].pageItems);
+
+        }
+
+    };
+
+};
+
+/**
+ * Stops caching item bounds.
+ * @author m1b
+ * @version 2026-10-19
+ */
+function endBoundsCache() {
+
+    delete getItemBounds.cache;
+
+};
+
+/**
+ * Forgets an item's cached bounds, eg. after it has
+ * been rotated or scaled, so that it will be measured again.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {PageItem} item - the item.
+ */
+function forgetItemBounds(item) {
+
+    if (!getItemBounds.cache)
+        return;
+
+    delete getItemBounds.cache.entries[item.uuid + 'visibleBounds'];
+    delete getItemBounds.cache.entries[item.uuid + 'geometricBounds'];
+
+};
+
+/**
+ * Returns the combined bounds of all bounds supplied.
+ * Works with Illustrator or Indesign bounds.
+ * @author m1b
+ * @version 2024-03-09
+ * @param {Array<bounds>} boundsArray - an array of bounds [L, T, R, B] or [T, L , B, R].
+ * @returns {bounds} - the combine bounds.
+ */
+function combineBounds(boundsArray) {
+
+    var combinedBounds = boundsArray[0].slice(),
+        comparator;
+
+    if (/indesign/i.test(app.name))
+        comparator = [Math.min, Math.min, Math.max, Math.max];
+    else if (/illustrator/i.test(app.name))
+        comparator = [Math.min, Math.max, Math.max, Math.min];
+
+    // Iterate through the rest of the bounds
+    for (var i = 1; i < boundsArray.length; i++) {
+
+        var bounds = boundsArray[i];
+        combinedBounds[0] = comparator[0](combinedBounds[0], bounds[0]);
+        combinedBounds[1] = comparator[1](combinedBounds[1], bounds[1]);
+        combinedBounds[2] = comparator[2](combinedBounds[2], bounds[2]);
+        combinedBounds[3] = comparator[3](combinedBounds[3], bounds[3]);
+
+    }
+
+    return combinedBounds;
+
+};
+
+/**
+ * Returns the overlapping rectangle
+ * of two or more rectangles.
+ * NOTE: Returns undefined if ANY
+ * rectangles do not intersect.
+ * @author m1b
+ * @version 2022-07-24
+ * @param {Array} arrayOfBounds - an array of bounds arrays [l, t, r, b].
+ * @returns {Array} - bounds array [l, t, r, b] of overlap.
+ */
+function intersectionOfBounds(arrayOfBounds) {
+
+    // sort a copy of array
+    var bounds = arrayOfBounds
+        .slice(0)
+        .sort(function (a, b) { return b[0] - a[0] || a[1] - b[1] });
+
+    // start with first bounds
+    var intersection = bounds.shift(),
+        b;
+
+    // compare each bounds, getting smaller
+    while (b = bounds.shift()) {
+
+        // if doesn't intersect, bail out
+        if (!boundsDoIntersectIllustrator(intersection, b))
+            return;
+
+        var l = Math.max(intersection[0], b[0]),
+            t = Math.min(intersection[1], b[1]),
+            r = Math.min(intersection[2], b[2]),
+            b = Math.max(intersection[3], b[3]);
+
+        intersection = [l, t, r, b];
+
+    }
+
+    return intersection;
+
+};
+
+/**
+ * Returns true if the two bounds intersect.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array} bounds1 - bounds array.
+ * @param {Array} bounds2 - bounds array.
+ * @returns {Boolean}
+ */
+function boundsDoIntersectIllustrator(bounds1, bounds2) {
+
+    return !(
+        bounds2[0] > bounds1[2]
+        || bounds2[1] < bounds1[3]
+        || bounds2[2] < bounds1[0]
+        || bounds2[3] > bounds1[1]
+    );
+
+};
+
+/**
+ * Returns true if `bounds1` wholly contains `bounds2`.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array} bounds1 - bounds array [L, T, R, B].
+ * @param {Array} bounds2 - bounds array [L, T, R, B].
+ * @returns {Boolean}
+ */
+function boundsDoContainIllustrator(bounds1, bounds2) {
+
+    return (
+        bounds1[0] <= bounds2[0]
+        && bounds1[1] >= bounds2[1]
+        && bounds1[2] >= bounds2[2]
+        && bounds1[3] <= bounds2[3]
+    );
+
+};
+
+/**
+ * Shows UI for Distribute Items.
+ * @author m1b
+ * @version 2024-11-15
+ * @param {Object} settings - the settings to adjust via UI.
+ * @returns {1|2} - result code
+ */
+function ui(settings) {
+
+    // the settings stored in a preset
+    const PRESET_KEYS = [
+        'fastBounds', 'scope', 'algorithm', 'lloydIterations', 'keepPathOrder', 'rotateToPath',
+        'scatterCount', 'scatterSpacing', 'scatterWeights', 'scatterRotationMin', 'scatterRotationMax', 'scatterScaleMin', 'scatterScaleMax',
+        'spread', 'damping', 'anchorStiffness', 'radius', 'falloff', 'maxSteps', 'scaleFactor', 'maxIterations',
+        'keepWithinBounds', 'boundsPadding', 'sizeAware', 'repulsionShape', 'minimumGap', 'container', 'containerBehaviour',
+        'axis', 'axisAngle', 'forceMultiplierX', 'forceMultiplierY', 'pinLockedItems', 'pinLayerName',
+        'pinNamePrefix', 'useObstacles', 'coincidentTolerance', 'seed', 'convergenceThreshold', 'stopBehaviour',
+        'lattice', 'latticePitch', 'resolveOverlaps', 'overlapGap', 'maxOverlapPasses',
+        'leaderLines', 'leaderLayerName', 'leaderStrokeWidth', 'leaderStrokeGray', 'leaderThreshold',
+    ];
+
+    // the original settings, restored by Reset and by the default preset
+    var reset = {};
+
+    for (var i = 0; i < PRESET_KEYS.length; i++)
+        reset[PRESET_KEYS[i]] = settings[PRESET_KEYS[i]];
+
+    // presets, the last used preset, and the window location, are remembered between runs
+    const PRESETS_FILE = File(Folder.userData + '/Distribute Items Presets.json'),
+        DEFAULT_PRESET_NAME = '[Default]';
+
+    var stored = readPresetsFile(PRESETS_FILE);
+
+    if (stored.windowLocation)
+        settings.windowLocation = stored.windowLocation;
+
+    if (stored.presets[stored.lastPreset])
+        applyPreset(settings, stored.presets[stored.lastPreset], PRESET_KEYS);
+    else
+        stored.lastPreset = undefined;
+
+    // keep track of the number of operations
+    var ops = 0;
+
+    // used later to check if items have been moved, and to revert them
+    settings.positions = getPositionValues(settings.items);
+
+    // the items whose positions are kept in the history:
+    // the selected items, then the children of selected groups
+    var historyItems = getHistoryItems();
+
+    // the rotation made to each item by Rotate to path, by uuid, since the dialog opened
+    settings.rotations = {};
+
+    // a snapshot of the items' positions, rotations and leader lines after each distribution
+    var history = [getSnapshot()],
+        historyIndex = 0;
+
+    // the values represented by the repulsion shape dropdown
+    const REPULSION_SHAPES = ['rectangle', 'circle'];
+
+    // the values represented by the algorithm dropdown, and their names
+    const ALGORITHMS = ['force', 'lloyd', 'path', 'scatter'],
+        ALGORITHM_NAMES = ['Force simulation', 'Lloyd relaxation', 'Along topmost selected path', 'Scatter copies'];
+
+    if (!settings.pathItem) {
+        // no path to place the items along
+        ALGORITHMS.splice(2, 1);
+        ALGORITHM_NAMES.splice(2, 1);
+    }
+
+    // the values represented by the scope dropdown
+    const SCOPES = ['all', 'artboard', 'group'];
+
+    // the values represented by the falloff dropdown
+    const FALLOFFS = ['constant', 'linear', 'inverseSquare', 'gaussian'];
+
+    // the values represented by the container dropdowns
+    const CONTAINERS = settings.containerItem ? ['none', 'artboard', 'path'] : ['none', 'artboard'],
+        CONTAINER_BEHAVIOURS = ['clamp', 'reflect'];
+
+    // the values represented by the axis dropdown
+    const AXES = ['both', 'x', 'y', 'angle'];
+
+    // the values represented by the keep within bounds dropdown
+    const BOUNDS_MODES = ['none', 'stretch', 'fit', 'pad'];
+
+    // the values represented by the lattice dropdown
+    const LATTICES = ['none', 'square', 'hex'];
+
+    // the values represented by the stop behaviour dropdown
+    const STOP_BEHAVIOURS = ['keep', 'revert'];
+
+    // set when the Stop button is clicked during a distribution
+    var stopRequested = false;
+
+    // the result of the last distribution, for the report
+    var lastResult;
+
+    const sliderMaxValue = 100,
+        sliderMinValue = 1,
+        sliderBounds = [5, 25, 350, 45],
+
+        spreadMinValue = 0.01,
+        spreadMaxValue = settings.radius * 2,
+
+        // these constants are used to map a slider value to an exponential range 0..1000
+        SLIDER_SCALE_FACTOR = 6.777,
+        SLIDER_GROWTH_CONSTANT = 0.05,
+
+        // show a warning when UI is configured for more than this many operations
+        OPERATIONS_WARNING_TEXT_THRESHOLD = 50000000,
+        OPERATIONS_WARNING_ALERT_THRESHOLD = 500000000,
+
+        // roughly, the operations per item in one Lloyd relaxation iteration
+        LLOYD_OPERATIONS_PER_ITEM = 300,
+
+        DIALOG_WIDTH = 450;
+
+    // distances are shown in the document's ruler units, but stored in points
+    const UNITS = getRulerUnits(app.activeDocument);
+
+    var w = new Window("dialog", 'Distribute ' + settings.items.length + ' Items', undefined, { closeButton: false }),
+
+        stack = w.add("group {orientation:'stack', alignment:['fill','fill'] }"),
+        uiPage = stack.add("group {orientation:'column', alignment:['fill','fill'], visible: true }"),
+
+        presetGroup = uiPage.add('group {orientation:"row", alignment:["left","top"], alignChildren: ["left","center"], margins:[10,10,10,10] }'),
+        presetLabel = presetGroup.add('statictext { text: "Preset" }'),
+        presetDropdown = presetGroup.add('dropdownlist {preferredSize: [160,-1] }'),
+        savePresetButton = presetGroup.add("Button { text:'Save', margins:[0,0,0,0], size:[60,25] }"),
+        renamePresetButton = presetGroup.add("Button { text:'Rename', margins:[0,0,0,0], size:[60,25] }"),
+        deletePresetButton = presetGroup.add("Button { text:'Delete', margins:[0,0,0,0], size:[60,25] }"),
+
+        algorithmGroup = uiPage.add('group {orientation:"row", alignment:["left","top"], alignChildren: ["left","center"], margins:[10,0,10,10] }'),
+        algorithmLabel = algorithmGroup.add('statictext { text: "Algorithm" }'),
+        algorithmDropdown = algorithmGroup.add('dropdownlist', undefined, ALGORITHM_NAMES),
+        lloydIterationsLabel = algorithmGroup.add('statictext { text: "Iterations" }'),
+        lloydIterationsField = algorithmGroup.add('edittext {text: "", preferredSize: [50,-1] }'),
+
+        scopeGroup = uiPage.add('group {orientation:"row", alignment:["left","top"], alignChildren: ["left","center"], margins:[10,0,10,10] }'),
+        scopeLabel = scopeGroup.add('statictext { text: "Distribute" }'),
+        scopeDropdown = scopeGroup.add('dropdownlist', undefined, ['All items together', 'Each artboard separately', 'Each group separately']),
+
+        pathGroup = uiPage.add('group {orientation:"row", alignment:["left","top"], alignChildren: ["left","center"], margins:[10,0,10,10] }'),
+        keepPathOrderCheckbox = pathGroup.add("Checkbox { alignment:'left', text:'Keep order along path', value:false }"),
+        rotateToPathCheckbox = pathGroup.add("Checkbox { alignment:'left', text:'Rotate to path', value:false }"),
+
+        scatterCountGroup = uiPage.add('group {orientation:"row", alignment:["left","top"], alignChildren: ["left","center"], margins:[10,0,10,10] }'),
+        scatterCountLabel = scatterCountGroup.add('statictext { text: "Copies" }'),
+        scatterCountField = scatterCountGroup.add('edittext {text: "", preferredSize: [50,-1] }'),
+        scatterSpacingLabel = scatterCountGroup.add('statictext { text: "Spacing" }'),
+        scatterSpacingField = scatterCountGroup.add('edittext {text: "", preferredSize: [60,-1] }'),
+        scatterWeightsLabel = scatterCountGroup.add('statictext { text: "Weights" }'),
+        scatterWeightsField = scatterCountGroup.add('edittext {text: "", preferredSize: [90,-1] }'),
+
+        scatterRangeGroup = uiPage.add('group {orientation:"row", alignment:["left","top"], alignChildren: ["left","center"], margins:[10,0,10,10] }'),
+        scatterRotationLabel = scatterRangeGroup.add('statictext { text: "Rotation" }'),
+        scatterRotationMinField = scatterRangeGroup.add('edittext {text: "", preferredSize: [40,-1] }'),
+        scatterRotationToLabel = scatterRangeGroup.add('statictext { text: "to" }'),
+        scatterRotationMaxField = scatterRangeGroup.add('edittext {text: "", preferredSize: [40,-1] }'),
+        scatterRotationUnitLabel = scatterRangeGroup.add('statictext { text: "\u00B0" }'),
+        scatterScaleLabel = scatterRangeGroup.add('statictext { text: "Scale" }'),
+        scatterScaleMinField = scatterRangeGroup.add('edittext {text: "", preferredSize: [40,-1] }'),
+        scatterScaleToLabel = scatterRangeGroup.add('statictext { text: "to" }'),
+        scatterScaleMaxField = scatterRangeGroup.add('edittext {text: "", preferredSize: [40,-1] }'),
+        scatterScaleUnitLabel = scatterRangeGroup.add('statictext { text: "%" }'),
+
+        helpPage = stack.add("group {orientation:'column', alignment:['fill','fill'], visible: false }"),
+
+        helpContent = helpPage.add("group {orientation:'column', alignment:['fill','fill'],alignChildren:['fill','top'], margins: [10,10,10,10] }"),
+        helpButtonGroup = helpPage.add('group {orientation:"row", alignment:["fill","bottom"], alignChildren: ["left","bottom"], margins: [10,10,10,10] }'),
+        closeHelpButton = helpButtonGroup.add("Button { text:'OK', margins:[0,0,0,0], size:[60,25] }"),
+
+        spreadGroup = uiPage.add("group {orientation:'column', alignment:['left','top'], alignChildren: ['left','top'], margins:[10,0,10,10], preferredSize: [80,-1] }"),
+        spreadLabel = spreadGroup.add('statictext { text: "Spread Amount" }'),
+        spreadInputGroup = spreadGroup.add("group {orientation:'row', preferredSize: [300,-1], margins:[2,0,0,0] }"),
+        spreadField = spreadInputGroup.add('edittext {text: "", preferredSize: [80,-1] }'),
+        spreadSlider = spreadInputGroup.add('slider', sliderBounds, 0, spreadMinValue, spreadMaxValue),
+
+        dampingGroup = uiPage.add("group {orientation:'column', alignment:['left','top'], alignChildren: ['left','top'], margins:[10,0,10,10], preferredSize: [80,-1] }"),
+        dampingLabel = dampingGroup.add('statictext { text: "Damping %" }'),
+        dampingInputGroup = dampingGroup.add("group {orientation:'row', preferredSize: [300,-1], margins:[2,0,0,0] }"),
+        dampingField = dampingInputGroup.add('edittext {text: "", preferredSize: [80,-1] }'),
+        dampingSlider = dampingInputGroup.add('slider', sliderBounds, 0, sliderMinValue, sliderMaxValue),
+
+        anchorStiffnessGroup = uiPage.add("group {orientation:'column', alignment:['left','top'], alignChildren: ['left','top'], margins:[10,0,10,10], preferredSize: [80,-1] }"),
+        anchorStiffnessLabel = anchorStiffnessGroup.add('statictext { text: "Anchor Stiffness %" }'),
+        anchorStiffnessInputGroup = anchorStiffnessGroup.add("group {orientation:'row', preferredSize: [300,-1], margins:[2,0,0,0] }"),
+        anchorStiffnessField = anchorStiffnessInputGroup.add('edittext {text: "", preferredSize: [80,-1] }'),
+        anchorStiffnessSlider = anchorStiffnessInputGroup.add('slider', sliderBounds, 0, 0, sliderMaxValue),
+
+        radiusGroup = uiPage.add("group {orientation:'column', alignment:['left','top'], alignChildren: ['left','top'], margins:[10,0,10,10], preferredSize: [80,-1] }"),
+        radiusLabel = radiusGroup.add('statictext { text: "Radius" }'),
+        radiusInputGroup = radiusGroup.add("group {orientation:'row', preferredSize: [300,-1], margins:[2,0,0,0] }"),
+        radiusField = radiusInputGroup.add('edittext {text: "", preferredSize: [80,-1] }'),
+        radiusSlider = radiusInputGroup.add('slider', sliderBounds, 0, sliderMinValue, sliderMaxValue),
+
+        falloffGroup = uiPage.add('group {orientation:"row", alignment:["left","top"], alignChildren: ["left","center"], margins:[10,0,10,10] }'),
+        falloffLabel = falloffGroup.add('statictext { text: "Falloff" }'),
+        falloffDropdown = falloffGroup.add('dropdownlist', undefined, ['Constant', 'Linear', 'Inverse square', 'Gaussian']),
+
+        maxStepsGroup = uiPage.add("group {orientation:'column', alignment:['left','top'], alignChildren: ['left','top'], margins:[10,0,10,10], preferredSize: [80,-1] }"),
+        maxStepsLabel = maxStepsGroup.add('statictext { text: "Number of steps" }'),
+        maxStepsInputGroup = maxStepsGroup.add("group {orientation:'row', preferredSize: [300,-1], margins:[2,0,0,0] }"),
+        maxStepsField = maxStepsInputGroup.add('edittext {text: "", preferredSize: [80,-1] }'),
+        maxStepsSlider = maxStepsInputGroup.add('slider', sliderBounds, 0, sliderMinValue, sliderMaxValue),
+
+        scaleGroup = uiPage.add("group {orientation:'column', alignment:['left','top'], alignChildren: ['left','top'], margins:[10,0,10,10], preferredSize: [80,-1] }"),
+        scaleLabel = scaleGroup.add('statictext { text: "Scale %" }'),
+        scaleInputGroup = scaleGroup.add("group {orientation:'row', preferredSize: [300,-1], margins:[2,0,0,0] }"),
+        scaleFactorField = scaleInputGroup.add('edittext {text: "", preferredSize: [80,-1] }'),
+        scaleFactorSlider = scaleInputGroup.add('slider', sliderBounds, 0, 0, 200),
+
+        maxIterationsGroup = uiPage.add("group {orientation:'column', alignment:['left','top'], alignChildren: ['left','top'], margins:[10,0,10,10], preferredSize: [80,-1] }"),
+        maxIterationsLabel = maxIterationsGroup.add('statictext { text: "Number of iterations:" }'),
+        maxIterationsInputGroup = maxIterationsGroup.add("group {orientation:'row', preferredSize: [300,-1], margins:[2,0,0,0] }"),
+        maxIterationsField = maxIterationsInputGroup.add('edittext {text: "", preferredSize: [80,-1] }'),
+        maxIterationsSlider = maxIterationsInputGroup.add('slider', sliderBounds, 1, 1, 100),
+
+        boundsGroup = uiPage.add('group {orientation:"row", alignment:["left","top"], alignChildren: ["left","center"], margins:[10,10,10,0] }'),
+        keepWithinBoundsLabel = boundsGroup.add('statictext { text: "Keep within original bounds" }'),
+        keepWithinBoundsDropdown = boundsGroup.add('dropdownlist', undefined, ['No', 'Stretch', 'Fit', 'Fit with padding']),
+        boundsPaddingField = boundsGroup.add('edittext {text: "", preferredSize: [60,-1] }'),
+
+        checkboxGroup = uiPage.add('group {orientation:"row", alignment:["left","top"], alignChildren: ["left","top"], margins:[10,10,10,10], preferredSize: [120,-1] }'),
+        seedLabel = checkboxGroup.add('statictext { text: "Seed" }'),
+        seedField = checkboxGroup.add('edittext {text: "", preferredSize: [50,-1] }'),
+        convergenceThresholdLabel = checkboxGroup.add('statictext { text: "Settle at" }'),
+        convergenceThresholdField = checkboxGroup.add('edittext {text: "", preferredSize: [60,-1] }'),
+
+        sizeAwareGroup = uiPage.add('group {orientation:"row", alignment:["left","top"], alignChildren: ["left","center"], margins:[10,0,10,10] }'),
+        sizeAwareCheckbox = sizeAwareGroup.add("Checkbox { alignment:'left', text:'Repel using item bounds', value:false }"),
+        repulsionShapeDropdown = sizeAwareGroup.add('dropdownlist', undefined, ['Rectangle', 'Circle']),
+        minimumGapLabel = sizeAwareGroup.add('statictext { text: "Minimum gap" }'),
+        minimumGapField = sizeAwareGroup.add('edittext {text: "", preferredSize: [60,-1] }'),
+
+        containerGroup = uiPage.add('group {orientation:"row", alignment:["left","top"], alignChildren: ["left","center"], margins:[10,0,10,10] }'),
+        containerLabel = containerGroup.add('statictext { text: "Contain within" }'),
+        containerDropdown = containerGroup.add('dropdownlist', undefined, ['None', 'Artboard', 'Topmost selected path'].slice(0, CONTAINERS.length)),
+        containerBehaviourDropdown = containerGroup.add('dropdownlist', undefined, ['Clamp at edge', 'Reflect at edge']),
+
+        axisGroup = uiPage.add('group {orientation:"row", alignment:["left","top"], alignChildren: ["left","center"], margins:[10,0,10,10] }'),
+        axisLabel = axisGroup.add('statictext { text: "Axis" }'),
+        axisDropdown = axisGroup.add('dropdownlist', undefined, ['Both', 'Horizontal only', 'Vertical only', 'Angle']),
+        axisAngleField = axisGroup.add('edittext {text: "", preferredSize: [40,-1] }'),
+        axisAngleLabel = axisGroup.add('statictext { text: "\u00B0" }'),
+        forceMultiplierXLabel = axisGroup.add('statictext { text: "H %" }'),
+        forceMultiplierXField = axisGroup.add('edittext {text: "", preferredSize: [40,-1] }'),
+        forceMultiplierYLabel = axisGroup.add('statictext { text: "V %" }'),
+        forceMultiplierYField = axisGroup.add('edittext {text: "", preferredSize: [40,-1] }'),
+
+        pinGroup = uiPage.add('group {orientation:"row", alignment:["left","top"], alignChildren: ["left","center"], margins:[10,0,10,10] }'),
+        pinLockedItemsCheckbox = pinGroup.add("Checkbox { alignment:'left', text:'Pin locked items', value:false }"),
+        pinLayerNameLabel = pinGroup.add('statictext { text: "Layer" }'),
+        pinLayerNameField = pinGroup.add('edittext {text: "", preferredSize: [70,-1] }'),
+        pinNamePrefixLabel = pinGroup.add('statictext { text: "Name prefix" }'),
+        pinNamePrefixField = pinGroup.add('edittext {text: "", preferredSize: [60,-1] }'),
+
+        obstaclesGroup = uiPage.add('group {orientation:"row", alignment:["left","top"], alignChildren: ["left","center"], margins:[10,0,10,10] }'),
+        useObstaclesCheckbox = obstaclesGroup.add("Checkbox { alignment:'left', text:'Unselected items on the artboard are obstacles', value:false }"),
+
+        fastBoundsGroup = uiPage.add('group {orientation:"row", alignment:["left","top"], alignChildren: ["left","center"], margins:[10,0,10,10] }'),
+        fastBoundsCheckbox = fastBoundsGroup.add("Checkbox { alignment:'left', text:'Fast text bounds (approximate)', value:false }"),
+
+        latticeGroup = uiPage.add('group {orientation:"row", alignment:["left","top"], alignChildren: ["left","center"], margins:[10,0,10,10] }'),
+        latticeLabel = latticeGroup.add('statictext { text: "Snap to" }'),
+        latticeDropdown = latticeGroup.add('dropdownlist', undefined, ['Nothing', 'Square grid', 'Hex grid']),
+        latticePitchLabel = latticeGroup.add('statictext { text: "Pitch" }'),
+        latticePitchField = latticeGroup.add('edittext {text: "", preferredSize: [60,-1] }'),
+
+        overlapsGroup = uiPage.add('group {orientation:"row", alignment:["left","top"], alignChildren: ["left","center"], margins:[10,0,10,10] }'),
+        resolveOverlapsCheckbox = overlapsGroup.add("Checkbox { alignment:'left', text:'Finish by resolving overlaps', value:false }"),
+        overlapGapLabel = overlapsGroup.add('statictext { text: "Gap" }'),
+        overlapGapField = overlapsGroup.add('edittext {text: "", preferredSize: [60,-1] }'),
+
+        leaderGroup = uiPage.add('group {orientation:"row", alignment:["left","top"], alignChildren: ["left","center"], margins:[10,0,10,10] }'),
+        leaderLinesCheckbox = leaderGroup.add("Checkbox { alignment:'left', text:'Leader lines', value:false }"),
+        leaderStrokeWidthLabel = leaderGroup.add('statictext { text: "Stroke" }'),
+        leaderStrokeWidthField = leaderGroup.add('edittext {text: "", preferredSize: [55,-1] }'),
+        leaderStrokeGrayLabel = leaderGroup.add('statictext { text: "Gray %" }'),
+        leaderStrokeGrayField = leaderGroup.add('edittext {text: "", preferredSize: [40,-1] }'),
+        leaderThresholdLabel = leaderGroup.add('statictext { text: "Skip under" }'),
+        leaderThresholdField = leaderGroup.add('edittext {text: "", preferredSize: [55,-1] }'),
+
+        leaderLayerGroup = uiPage.add('group {orientation:"row", alignment:["left","top"], alignChildren: ["left","center"], margins:[10,0,10,10] }'),
+        leaderLayerNameLabel = leaderLayerGroup.add('statictext { text: "Leader lines layer" }'),
+        leaderLayerNameField = leaderLayerGroup.add('edittext {text: "", preferredSize: [140,-1] }'),
+
+        stopBehaviourGroup = uiPage.add('group {orientation:"row", alignment:["left","top"], alignChildren: ["left","center"], margins:[10,0,10,10] }'),
+        stopBehaviourLabel = stopBehaviourGroup.add('statictext { text: "When stopped" }'),
+        stopBehaviourDropdown = stopBehaviourGroup.add('dropdownlist', undefined, ['Keep the last computed state', 'Revert to original positions']),
+
+        infoGroup = uiPage.add('group {orientation:"stack", alignment:["left","top"], alignChildren: ["fill","bottom"], margins:[10,10,10,10], preferredSize: [120,-1] }'),
+        warningText = infoGroup.add('statictext { text: "", alignment:["right","top"], preferredSize: [430,-1], justify:"right" }'),
+        pb = infoGroup.add('progressbar { bounds: [0, 0, ' + DIALOG_WIDTH + ', 6], value: 0, maxvalue: ' + settings.positions.length + ', visible: false }'),
+
+        statsGroup = uiPage.add('group {orientation:"row", alignment:["fill","top"], alignChildren: ["left","center"], margins:[10,0,10,0] }'),
+        statsText = statsGroup.add('statictext { text: "", preferredSize: [340,30], properties: { multiline: true } }'),
+        exportReportButton = statsGroup.add("Button { text:'Export report', margins:[0,0,0,0], size:[90,25] }"),
+
+        buttonGroup = uiPage.add('group {orientation:"row", alignment:["fill","bottom"], alignChildren: ["right","bottom"], margins: [10,10,10,10] }'),
+        extraButtons = buttonGroup.add('group {orientation:"row", alignment:["left","bottom"], alignChildren: ["left","bottom"], margins: [0,0,0,0] }'),
+        helpButton = extraButtons.add("Button { text:'Help', margins:[0,0,0,0], size:[60,25] }"),
+        resetButton = extraButtons.add("Button { text:'Reset', margins:[0,0,0,0], size:[60,25] }"),
+        backButton = extraButtons.add("Button { text:'Back', margins:[0,0,0,0], size:[50,25] }"),
+        forwardButton = extraButtons.add("Button { text:'Forward', margins:[0,0,0,0], size:[60,25] }"),
+        revertButton = extraButtons.add("Button { text:'Revert', margins:[0,0,0,0], size:[60,25] }"),
+        stopButton = buttonGroup.add("Button { text:'Stop', visible: false }"),
+        cancelButton = buttonGroup.add('button', undefined, 'Cancel', { name: 'cancel' }),
+        doButton = buttonGroup.add('button', undefined, 'Distribute', { name: 'ok' });
+
+    w.preferredSize.width = DIALOG_WIDTH;
+
+    // assign listeners to buttons
+    backButton.onClick = function () { goToHistory(historyIndex - 1); };
+    forwardButton.onClick = function () { goToHistory(historyIndex + 1); };
+    revertButton.onClick = revert;
+    exportReportButton.onClick = exportReport;
+    stopButton.onClick = function () { stopRequested = true; };
+    savePresetButton.onClick = savePreset;
+    renamePresetButton.onClick = renamePreset;
+    deletePresetButton.onClick = deletePreset;
+    w.onClose = rememberWindowLocation;
+    resetButton.onClick = doReset;
+    doButton.onClick = doDistribute;
+    helpButton.onClick = toggleHelp;
+    closeHelpButton.onClick = toggleHelp;
+    sizeAwareCheckbox.onClick = updateSizeAwareControls;
+    repulsionShapeDropdown.onChange = updateWarningText;
+    minimumGapField.onChanging = updateWarningText;
+    containerDropdown.onChange = updateContainerControls;
+    axisDropdown.onChange = updateAxisControls;
+    algorithmDropdown.onChange = updateAlgorithmControls;
+    scopeDropdown.onChange = updateAlgorithmControls;
+    latticeDropdown.onChange = updateLatticeControls;
+    keepWithinBoundsDropdown.onChange = updateBoundsControls;
+    resolveOverlapsCheckbox.onClick = updateOverlapsControls;
+    leaderLinesCheckbox.onClick = updateLeaderControls;
+    lloydIterationsField.onChanging = updateWarningText;
+
+    // assign listeners to fields so that sliders are updated
+    spreadField.onChanging = getFieldOnChangingFunction(getDistance, spreadSlider, spreadMinValue, spreadMaxValue);
+    dampingField.onChanging = getFieldOnChangingFunction(undefined, dampingSlider, sliderMinValue, sliderMaxValue);
+    anchorStiffnessField.onChanging = getFieldOnChangingFunction(undefined, anchorStiffnessSlider, 0, sliderMaxValue);
+    radiusField.onChanging = getFieldOnChangingFunction(function (text) { return getNumberInSliderUnits(getDistance(text)); }, radiusSlider, sliderMinValue, sliderMaxValue);
+    maxStepsField.onChanging = getFieldOnChangingFunction(getNumberInSliderUnits, maxStepsSlider, sliderMinValue, sliderMaxValue);
+    scaleFactorField.onChanging = getFieldOnChangingFunction(undefined, scaleFactorSlider, 0, 200);
+    maxIterationsField.onChanging = getFieldOnChangingFunction(undefined, maxIterationsSlider, sliderMinValue, sliderMaxValue);
 
     // assign listeners to sliders so that fields are updated
-    spreadSlider.onChanging = getSliderOnChangingFunction(spreadField, undefined, 2);
+    spreadSlider.onChanging = getSliderOnChangingFunction(spreadField, function (n) { return formatDistance(n, UNITS); }, 2);
     dampingSlider.onChanging = getSliderOnChangingFunction(dampingField, undefined, 1);
-    radiusSlider.onChanging = getSliderOnChangingFunction(radiusField, getFieldNumberFromSliderValue, 0);
+    anchorStiffnessSlider.onChanging = getSliderOnChangingFunction(anchorStiffnessField, undefined, 0);
+    radiusSlider.onChanging = getSliderOnChangingFunction(radiusField, function (n) { return formatDistance(Number(getFieldNumberFromSliderValue(n, 1)), UNITS); }, 0);
     maxStepsSlider.onChanging = getSliderOnChangingFunction(maxStepsField, getFieldNumberFromSliderValue, 0);
     scaleFactorSlider.onChanging = getSliderOnChangingFunction(scaleFactorField, undefined, 0);
     maxIterationsSlider.onChanging = getSliderOnChangingFunction(maxIterationsField, undefined, 0);
 
-    // fill out the help page
-    addHelpEntry(helpContent, 'Spread Amount', 'The amount of spreading force applied.');
-    addHelpEntry(helpContent, 'Damping %', 'A scaling factor applied to the spread force at each step.');
-    addHelpEntry(helpContent, 'Radius', 'Items further apart than this value, in points, will be ignored.');
-    addHelpEntry(helpContent, 'Number of Steps', 'More steps give a more even, settled, distribution.');
-    addHelpEntry(helpContent, 'Scale %', 'A scaling factor applied to the point distribution. 100% means no extra scaling.');
-    addHelpEntry(helpContent, 'Number of Iterations', 'The number of times the distribution algorithm is re-applied to the points. Usually 1 is enough, but higher values can be very effective when `keepWithinBounds` is true.');
-    addHelpEntry(helpContent, 'Keep Within Bounds', 'Whether to scale the distributed points to maintain the original points\' bounds.');
+    // fill out the help page
+    addHelpEntry(helpContent, 'Distances', 'Distances are shown in the document\'s ruler units (' + UNITS + '). Type a unit to use another, eg. "5 mm", "0.25 in" or "12 pt".');
+    addHelpEntry(helpContent, 'Algorithm: Force Simulation', 'Items push each other apart, step by step, using the settings below.');
+    addHelpEntry(helpContent, 'Algorithm: Lloyd Relaxation', 'Each item is moved, again and again, to the center of the area closest to it, giving an even coverage of the container, or of the items\' bounds. Iterations is the number of moves; the force settings are not used.');
+    addHelpEntry(helpContent, 'Algorithm: Along Path', 'The items are placed at equal intervals along the topmost selected path, from end to end of an open path, or evenly around a closed path. Keep order along path places them in the order of their nearest points on the path, otherwise in selection order. Rotate to path turns each item to follow the path; while this dialog is open, placing again doesn\'t add to the rotation, and placing with it turned off undoes it.');
+    addHelpEntry(helpContent, 'Algorithm: Scatter Copies', 'Fills the topmost selected closed path, when Contain within is set to it, otherwise the artboard, with Copies of the selected items, grouped together. No two copies\' centers are closer than Spacing (0 means the median item size); fewer copies are made when there is no room. Weights, in selection order, eg. "3, 1", makes some items more common. Each copy is rotated and scaled by a random amount within the ranges. The Seed chooses every random value, so the same seed always gives the same result. Scattering again replaces the copies, and Revert removes them.');
+    addHelpEntry(helpContent, 'Distribute', 'Distribute all the items together, or each artboard\'s items separately, keeping them on their artboard (instead of Contain within), or each group\'s items separately. Selected groups have their children distributed.');
+    addHelpEntry(helpContent, 'Spread Amount', 'The amount of spreading force applied.');
+    addHelpEntry(helpContent, 'Damping %', 'A scaling factor applied to the spread force at each step.');
+    addHelpEntry(helpContent, 'Anchor Stiffness %', 'Pulls each item back towards its original position, so items move only as far as they must. 0% means no pull.');
+    addHelpEntry(helpContent, 'Radius', 'Items further apart than this distance will be ignored.');
+    addHelpEntry(helpContent, 'Falloff: Constant', 'The same force at any distance within the radius, and none beyond it. The sudden drop at the radius can cause clumping.');
+    addHelpEntry(helpContent, 'Falloff: Linear', 'The force weakens steadily, to nothing at the radius.');
+    addHelpEntry(helpContent, 'Falloff: Inverse Square', 'The force is much stronger close up and weakens quickly, to nothing at the radius.');
+    addHelpEntry(helpContent, 'Falloff: Gaussian', 'The force follows a smooth bell curve, and is almost nothing at the radius.');
+    addHelpEntry(helpContent, 'Number of Steps', 'More steps give a more even, settled, distribution.');
+    addHelpEntry(helpContent, 'Scale %', 'A scaling factor applied to the point distribution. 100% means no extra scaling.');
+    addHelpEntry(helpContent, 'Number of Iterations', 'The number of times the distribution algorithm is re-applied to the points. Usually 1 is enough, but higher values can be very effective when keeping within bounds.');
+    addHelpEntry(helpContent, 'Keep Within Bounds', 'Whether to scale the distributed points to maintain the original points\' bounds. Stretch scales the width and height separately; Fit keeps the distribution\'s proportions; Fit with padding also keeps this distance inside the bounds\' edges.');
+    addHelpEntry(helpContent, 'Seed', 'Items stacked in the same place are fanned out in a direction chosen by this number, and scattered copies are placed using it. The same seed always gives the same result.');
+    addHelpEntry(helpContent, 'Settle At', 'The distribution stops early when no item moves further than this distance in a single step. 0 means always perform every step.');
+    addHelpEntry(helpContent, 'Snap To', 'After distributing, moves each item to the nearest free cell of a square or hexagonal grid, one item per cell. Pitch is the distance between cells; 0 means the median item size. Items with no free cell nearby are left where they are, and their number is reported.');
+    addHelpEntry(helpContent, 'Resolve Overlaps', 'After distributing, any items whose bounds are closer than Gap are pushed apart, repeatedly, until none are too close. Any overlaps left are reported.');
+    addHelpEntry(helpContent, 'Leader Lines', 'Draws a line from each moved item\'s original center to the edge of its bounds, in a group on the leader lines layer, replacing the lines drawn there before; nothing else on that layer is touched. Stroke is the line width, and Gray % its color. Items that moved less than Skip under get no line.');
+    addHelpEntry(helpContent, 'Back and Forward', 'Step through the items\' positions after each distribution, to compare results. Revert moves the items back to where they were when this dialog opened. Positions, rotations by Rotate to path, and leader lines are restored.');
+    addHelpEntry(helpContent, 'Statistics', 'After each distribution, shows the smallest, median and largest distance the items moved, and from each item to its nearest neighbour. Export report saves these, for every moved item, as a CSV file, with each item\'s name and uuid.');
+    addHelpEntry(helpContent, 'When Stopped', 'A distribution can be stopped using the Stop button, or by holding down the Escape key. Then either keep the items where the distribution had got to, or revert them to their positions when this dialog opened.');
+    addHelpEntry(helpContent, 'Repel Using Item Bounds', 'Items push apart only while their bounds (a rectangle, or a circle enclosing the bounds) overlap, so large items get more room than small ones. Spread limits how far each overlap is resolved per step. Radius is not used.');
+    addHelpEntry(helpContent, 'Minimum Gap', 'When repelling using item bounds, the distance to keep between items.');
+    addHelpEntry(helpContent, 'Axis', 'Spread the items in both directions, horizontally only, vertically only, or along an angle, in degrees. The other direction stays fixed.');
+    addHelpEntry(helpContent, 'H % and V %', 'The horizontal and vertical force is scaled by these, eg. 200% H spreads twice as much horizontally as vertically.');
+    addHelpEntry(helpContent, 'Pinned Items', 'Pinned items repel the other items, but don\'t move. Items are pinned if they are locked, on the named layer, or have a name starting with the name prefix.');
+    addHelpEntry(helpContent, 'Obstacles', 'Unselected items on the active artboard repel the distributed items, but don\'t move. An item that covers all of the selected items, such as a background map or frame, is not an obstacle.');
+    addHelpEntry(helpContent, 'Fast Text Bounds', 'Text frames are normally measured by outlining a copy of their text, which is exact, but slow. This uses the text frames\' own bounds instead, which is much faster, but approximate.');
+    addHelpEntry(helpContent, 'Contain Within', 'Keeps the items inside the active artboard, or inside the topmost selected closed path (which is not itself distributed). Items that cross the edge are either clamped at the edge or reflected back inside.');
+
+    pb.update = function (n) { this.value = n; w.update(); };
+
+    // populate the presets
+    buildPresetDropdown(stored.lastPreset);
+    presetDropdown.onChange = loadPreset;
+
+    // update the UI
+    updateUI();
+    updateStatsText();
+
+    // show the dialog
+    if (settings.windowLocation)
+        w.location = settings.windowLocation;
+    else
+        w.center();
+
+    return w.show();
+
+
+    /**
+     * Returns a function suitable for listening to the
+     * `onChanging` event of an SUI Slider, such that
+     * when the slider is changed, `field` is updated.
+     * @param {SUI EditText Control} field - the field to set.
+     * @param {Function} [valueFunction] - an optional custom function for converting the field text (default: nothing).
+     * @param {Number} decimalPlaces - the number of decimal places for the value.
+     * @returns {Function}
+     */
+    function getSliderOnChangingFunction(field, valueFunction, decimalPlaces) {
+
+        return (function (field, decimalPlaces) {
+
+            var fn = valueFunction || function (n) { return n.toFixed(decimalPlaces) };
+
+            return function () {
+                field.text = fn(this.value, decimalPlaces);
+                updateWarningText();
+            };
+
+        })(field, decimalPlaces);
+
+    };
+
+    /**
+     * Converts a slider value into a string suitable for a field numeric value.
+     * The slider value is mapped from slider's range (0..100)
+     * to 1..1000 with exponential scaling such that low slider values
+     * can be accessed precisely, while still allowing large values to be
+     * chosen (but with less precision).
+     * @param {Number} n - the slider value (0..100).
+     * @param {Number} [decimalPlaces] - the number of decimal places in the result (default: 0).
+     * @returns {String}
+     */
+    function getFieldNumberFromSliderValue(n, decimalPlaces) {
+
+        var exponenialValue = SLIDER_SCALE_FACTOR * (Math.exp(SLIDER_GROWTH_CONSTANT * n) - 1);
+        return (exponenialValue + 1).toFixed(decimalPlaces || 0);
+
+    };
+
+    /**
+     * Returns a function suitable for listening to the
+     * `onChanging` event of an EditText field, such that
+     * when the field is changed, the slider is updated.
+     * @param {Function} [valueFunction] - an optional custom function for converting the field text (default: Number).
+     * @param {SUI Slider Control} slider - the slider to set.
+     * @param {Number} min - the slider min value.
+     * @param {Number} max - the slider max value.
+     * @returns {Function}
+     */
+    function getFieldOnChangingFunction(valueFunction, slider, min, max) {
+
+        return (function (fn, slider, min, max) {
+
+            fn = fn || Number;
+
+            return function () {
+
+                var n = fn(this.text);
+
+                if (
+                    isNaN(n)
+                    || n < min
+                    || n > max
+                ) {
+                    slider.enabled = false;
+                }
+
+                else {
+                    slider.enabled = true;
+                    slider.value = n;
+                }
+
+                updateWarningText();
+
+            };
+
+        })(valueFunction, slider, min, max);
+
+    };
+
+    /**
+     * Adds a glossary term to the help page.
+     * @param {SUI Container} container
+     * @param {String} title
+     * @param {String} text
+     */
+    function addHelpEntry(container, title, text) {
+
+        var row = container.add("group {orientation:'row', alignment:['left','top'], alignChildren: ['left','top'], margins:[0,0,0,0] }"),
+            text1 = row.add("statictext", undefined, title),
+            text2 = row.add("statictext", undefined, text, { multiline: true });
+
+        text1.preferredSize = [150, -1];
+        text2.preferredSize = [220, -1];
+
+    };
+
+    /**
+     * Returns `n` in slider units.
+     * Maps 0..1000 to 1..100 with logarithmic scaling.
+     * For distances, `n` is in points, whatever the document's units.
+     * @param {Number} n - a number in the range 0..1000.
+     * @returns {Number}
+     */
+    function getNumberInSliderUnits(n) {
+
+        return Math.log(Number(n) / SLIDER_SCALE_FACTOR + 1) / SLIDER_GROWTH_CONSTANT;
+
+    };
+
+    /**
+     * Returns a distance field's text as points. The text is
+     * in the document's units, unless it has its own unit, eg. "5 mm".
+     * @param {String} text - the field's text.
+     * @returns {Number} - the distance in points, or NaN.
+     */
+    function getDistance(text) {
+
+        return parseDistance(text, UNITS);
+
+    };
+
+    /**
+     * Shows/hides the help page.
+     */
+    function toggleHelp() {
+
+        uiPage.visible = !uiPage.visible;
+        helpPage.visible = !helpPage.visible;
+
+    };
+
+    /**
+     * Restores the items to history snapshot `index`.
+     * @param {Number} index - the index of the snapshot in `history`.
+     */
+    function goToHistory(index) {
+
+        if (
+            index < 0
+            || index >= history.length
+        )
+            return;
+
+        restoreSnapshot(history[index]);
+        historyIndex = index;
+
+        // the last result no longer matches the document
+        lastResult = undefined;
+        updateStatsText();
+
+        app.redraw();
+        updateUI();
+
+    };
+
+    /**
+     * Moves the items back to their state when the
+     * dialog opened, recording this in the history, so
+     * that Back returns to the last distribution.
+     */
+    function revert() {
+
+        removeScatterGroup();
+
+        // the selected items, and any children of selected groups
+        restoreSnapshot(history[0]);
+
+        addToHistory();
+
+        // the last result no longer matches the document
+        lastResult = undefined;
+        updateStatsText();
+
+        app.redraw();
+        updateUI();
+
+    };
+
+    /**
+     * Removes the copies made by the last scatter, if any.
+     */
+    function removeScatterGroup() {
+
+        if (!settings.scatterGroup)
+            return;
+
+        settings.scatterGroup.remove();
+        settings.scatterGroup = undefined;
+
+    };
+
+    /**
+     * Records the items' current state in the history,
+     * discarding any snapshots after the current one.
+     * @param {Object} [leaderOptions] - the options used to draw leader lines, if they were drawn.
+     */
+    function addToHistory(leaderOptions) {
+
+        var snapshot = getSnapshot(leaderOptions);
+
+        if (
+            positionsAreEqual(snapshot.positions, history[historyIndex].positions)
+            && rotationsAreEqual(snapshot.rotations, history[historyIndex].rotations)
+        ) {
+            // nothing moved, but the leader lines may have changed
+            history[historyIndex].leaderOptions = leaderOptions;
+            return;
+        }
+
+        history = history.slice(0, historyIndex + 1);
+        history.push(snapshot);
+        historyIndex = history.length - 1;
+
+    };
+
+    /**
+     * Returns a snapshot of the history items' positions and
+     * the rotations made by this script, and the leader lines.
+     * @param {Object} [leaderOptions] - the options used to draw leader lines, if they were drawn.
+     * @returns {Object} - { positions: Array<position>, rotations: Array<Number>, leaderOptions: Object? }.
+     */
+    function getSnapshot(leaderOptions) {
+
+        var rotations = [];
+
+        for (var i = 0; i < historyItems.length; i++)
+            rotations.push(settings.rotations[historyItems[i].uuid] || 0);
+
+        return {
+            positions: getPositionValues(historyItems),
+            rotations: rotations,
+            leaderOptions: leaderOptions,
+        };
+
+    };
+
+    /**
+     * Restores the history items to `snapshot`, replacing the
+     * current snapshot's leader lines with the snapshot's own.
+     * @param {Object} snapshot - a snapshot made by `getSnapshot`.
+     */
+    function restoreSnapshot(snapshot) {
+
+        var current = history[historyIndex];
+
+        if (current.leaderOptions)
+            removeLeaderLines(current.leaderOptions.leaderLayerName);
+
+        // rotate first, as rotating moves the item
+        for (var i = 0; i < historyItems.length; i++)
+            rotateItemTo(historyItems[i], snapshot.rotations[i], settings.rotations);
+
+        setPositionValues(historyItems, snapshot.positions);
+
+        if (snapshot.leaderOptions)
+            drawLeaderLines(historyItems, snapshot.leaderOptions);
+
+    };
+
+    /**
+     * Returns the options for drawing the leader lines of the
+     * current distribution, from every history item's original
+     * position, or undefined if leader lines aren't drawn.
+     * @returns {Object?}
+     */
+    function getLeaderOptions() {
+
+        if (
+            !settings.leaderLines
+            || 'scatter' === settings.algorithm
+        )
+            return;
+
+        return {
+            items: historyItems,
+            positions: history[0].positions,
+            leaderLayerName: settings.leaderLayerName,
+            leaderStrokeWidth: settings.leaderStrokeWidth,
+            leaderStrokeGray: settings.leaderStrokeGray,
+            leaderThreshold: settings.leaderThreshold,
+        };
+
+    };
+
+    /**
+     * Enables the history buttons that can be used.
+     */
+    function updateHistoryButtons() {
+
+        backButton.enabled = historyIndex > 0;
+        forwardButton.enabled = historyIndex < history.length - 1;
+        revertButton.enabled = itemsAreDirty();
+
+    };
+
+    /**
+     * Resets the UI to the original settings object.
+     */
+    function doReset() {
+
+        for (var i = 0; i < PRESET_KEYS.length; i++)
+            settings[PRESET_KEYS[i]] = reset[PRESET_KEYS[i]];
+
+        updateUI();
+
+    };
+
+    /**
+     * Performs the distribution.
+     */
+    function doDistribute() {
+
+        updateSettings();
+
+        if (
+            !settings.doNotShowWarning
+            && ops > OPERATIONS_WARNING_ALERT_THRESHOLD
+        ) {
+
+            if (!confirm('CAUTION:\nYou are about to start a distribution that will involve ' + formatNumber(ops) + ' operations. It will be VERY slow to run, but you can press Stop, or hold Escape, at any time. Do you wish to continue?'))
+                return;
+
+        }
+
+        warningText.visible = false;
+        pb.visible = true;
+        settings.pb = pb;
+        if ('path' === settings.algorithm)
+            pb.maxvalue = 1;
+        else if ('scatter' === settings.algorithm)
+            pb.maxvalue = settings.scatterCount;
+        else if ('lloyd' === settings.algorithm)
+            pb.maxvalue = settings.lloydIterations;
+        else
+            pb.maxvalue = settings.maxSteps * settings.maxIterations;
+        pb.update(1);
+
+        if ('scatter' === settings.algorithm)
+            // scattering again replaces the last copies
+            removeScatterGroup();
+
+        // show the Stop button while distributing
+        stopRequested = false;
+        settings.shouldStop = shouldStop;
+        stopButton.visible = true;
+        doButton.enabled = false;
+
+        // do the distribution
+        var result,
+            failure;
+
+        try {
+            result = settings.doFunction(settings);
+        }
+
+        catch (error) {
+            failure = error;
+        }
+
+        finally {
+
+            // never leave the dialog unable to distribute again
+            stopButton.visible = false;
+            doButton.enabled = true;
+            pb.value = 0;
+            pb.visible = false;
+            warningText.visible = true;
+
+            if (failure)
+                alert('Could not distribute the items: ' + (failure.message || failure));
+
+        }
+
+        if (failure) {
+
+            // the items may have moved before the error
+            addToHistory();
+            lastResult = undefined;
+            updateStatsText();
+            app.redraw();
+            updateUI();
+            return;
+
+        }
+
+        addToHistory(getLeaderOptions());
+
+        app.redraw();
+        updateUI();
+
+        // keep the result for the report
+        lastResult = result;
+        updateStatsText(result && result.moved);
+
+        var unit = 'lloyd' === settings.algorithm ? ' iterations.' : ' steps.';
+
+        if ('path' === settings.algorithm)
+            warningText.text = 'Placed ' + result.moved.length + ' items along the path.';
+
+        else if ('scatter' === settings.algorithm)
+            warningText.text = 'Scattered ' + result.stepsUsed + ' of ' + result.totalSteps + ' copies.'
+                + (result.stopped ? ' Stopped.' : '')
+                + (result.converged ? '' : ' No room for more at this spacing.');
+
+        else if (result && result.stopped)
+            warningText.text = 'Stopped after ' + result.stepsUsed + ' of ' + result.totalSteps + unit
+                + ('revert' === settings.stopBehaviour ? ' Items reverted.' : '');
+
+        else if (result)
+            // report how many steps were needed
+            warningText.text = (result.converged ? 'Settled after ' : 'Did not settle after ')
+                + result.stepsUsed + ' of ' + result.totalSteps + unit
+                + (result.overlapsRemaining > 0 ? ' ' + result.overlapsRemaining + ' overlaps remain.' : '')
+                + (result.unsnapped > 0 ? ' ' + result.unsnapped + ' items not snapped to the lattice.' : '')
+                + (warningText.text ? '  ' + warningText.text : '');
+
+    };
+
+    /**
+     * Shows the minimum, median and maximum of the
+     * items' displacement and nearest neighbour distance.
+     * @param {Array<Object>} [moved] - the records of the moved items, from `distributeItems`.
+     */
+    function updateStatsText(moved) {
+
+        var displacements = [],
+            nearestDistances = [];
+
+        if (moved) {
+
+            for (var i = 0; i < moved.length; i++) {
+                displacements.push(moved[i].displacement);
+                nearestDistances.push(moved[i].nearestDistance);
+            }
+
+        }
+
+        var lines = [
+            getStatisticsLine('Moved', getStatistics(displacements)),
+            getStatisticsLine('Nearest', getStatistics(nearestDistances)),
+        ];
+
+        // leave out any line without values, eg. Moved, for scattered copies
+        statsText.text = (lines[0] && lines[1]) ? lines.join('\n') : lines[0] || lines[1];
+        exportReportButton.enabled = undefined != moved && moved.length > 0;
+
+        /**
+         * Returns a line of text describing `statistics`.
+         * @param {String} label
+         * @param {Object} [statistics] - { min, median, max }.
+         * @returns {String}
+         */
+        function getStatisticsLine(label, statistics) {
+
+            if (!statistics)
+                return '';
+
+            return label + ': min ' + formatDistance(statistics.min, UNITS)
+                + ', median ' + formatDistance(statistics.median, UNITS)
+                + ', max ' + formatDistance(statistics.max, UNITS);
+
+        };
+
+    };
+
+    /**
+     * Asks for a file, then writes a CSV report of the last distribution.
+     */
+    function exportReport() {
+
+        if (!lastResult)
+            return;
+
+        var file = File.saveDialog('Export report', 'CSV:*.csv');
+
+        if (!file)
+            return;
+
+        if (!/\.csv$/i.test(file.name))
+            file = File(file.fsName + '.csv');
+
+        if (!writeReportFile(file, lastResult.moved, UNITS))
+            alert('Could not write the report to "' + file.fsName + '".');
+
+    };
+
+    /**
+     * Fills the preset dropdown with the stored preset names.
+     * @param {String} [selectedName] - the preset to select (default: the default preset).
+     */
+    function buildPresetDropdown(selectedName) {
+
+        var names = [DEFAULT_PRESET_NAME],
+            onChange = presetDropdown.onChange;
+
+        for (var name in stored.presets)
+            if (stored.presets.hasOwnProperty(name))
+                names.push(name);
+
+        // don't load the preset while rebuilding
+        presetDropdown.onChange = undefined;
+        presetDropdown.removeAll();
+
+        for (var i = 0; i < names.length; i++)
+            presetDropdown.add('item', names[i]);
+
+        presetDropdown.selection = Math.max(0, indexOfArray(names, selectedName));
+        presetDropdown.onChange = onChange;
+
+        renamePresetButton.enabled = presetDropdown.selection.index > 0;
+        deletePresetButton.enabled = presetDropdown.selection.index > 0;
+
+    };
+
+    /**
+     * Returns the name of the selected preset, or undefined
+     * if the default preset is selected.
+     * @returns {String?}
+     */
+    function getSelectedPresetName() {
+
+        if (
+            presetDropdown.selection
+            && presetDropdown.selection.index > 0
+        )
+            return presetDropdown.selection.text;
+
+    };
+
+    /**
+     * Applies the selected preset to the UI.
+     */
+    function loadPreset() {
+
+        var name = getSelectedPresetName();
+
+        renamePresetButton.enabled = undefined != name;
+        deletePresetButton.enabled = undefined != name;
+
+        if (undefined == name)
+            return doReset();
+
+        applyPreset(settings, stored.presets[name], PRESET_KEYS);
+        updateUI();
+
+        stored.lastPreset = name;
+        writePresetsFile(PRESETS_FILE, stored);
+
+    };
+
+    /**
+     * Saves the current UI settings as a named preset.
+     */
+    function savePreset() {
+
+        var name = prompt('Save preset as:', getSelectedPresetName() || 'My Preset');
+
+        if (!name)
+            return;
+
+        if (DEFAULT_PRESET_NAME === name)
+            return alert('Please choose a different name.');
+
+        if (
+            stored.presets[name]
+            && name !== getSelectedPresetName()
+            && !confirm('Replace the existing preset "' + name + '"?')
+        )
+            return;
+
+        updateSettings();
+
+        var preset = {};
+
+        for (var i = 0; i < PRESET_KEYS.length; i++)
+            preset[PRESET_KEYS[i]] = settings[PRESET_KEYS[i]];
+
+        stored.presets[name] = preset;
+        stored.lastPreset = name;
+        writePresetsFile(PRESETS_FILE, stored);
+        buildPresetDropdown(name);
+
+    };
+
+    /**
+     * Renames the selected preset.
+     */
+    function renamePreset() {
+
+        var oldName = getSelectedPresetName();
+
+        if (undefined == oldName)
+            return;
+
+        var newName = prompt('Rename preset "' + oldName + '" to:', oldName);
+
+        if (
+            !newName
+            || newName === oldName
+        )
+            return;
+
+        if (
+            DEFAULT_PRESET_NAME === newName
+            || stored.presets[newName]
+        )
+            return alert('There is already a preset called "' + newName + '".');
+
+        stored.presets[newName] = stored.presets[oldName];
+        delete stored.presets[oldName];
+        stored.lastPreset = newName;
+        writePresetsFile(PRESETS_FILE, stored);
+        buildPresetDropdown(newName);
+
+    };
+
+    /**
+     * Deletes the selected preset.
+     */
+    function deletePreset() {
+
+        var name = getSelectedPresetName();
+
+        if (
+            undefined == name
+            || !confirm('Delete the preset "' + name + '"?')
+        )
+            return;
+
+        delete stored.presets[name];
+        stored.lastPreset = undefined;
+        writePresetsFile(PRESETS_FILE, stored);
+        buildPresetDropdown();
+
+    };
+
+    /**
+     * Stores the window location, and the last used preset, for next time.
+     */
+    function rememberWindowLocation() {
+
+        settings.windowLocation = [w.location[0], w.location[1]];
+        stored.windowLocation = settings.windowLocation;
+        stored.lastPreset = getSelectedPresetName();
+        writePresetsFile(PRESETS_FILE, stored);
+
+    };
+
+    /**
+     * Returns true when the Stop button has been clicked,
+     * or the Escape key is held down. Updating the window
+     * here lets it respond to the click, but not every
+     * version of Illustrator dispatches the button's onClick
+     * during a blocking handler, so the keyboard state is
+     * checked as well.
+     * @returns {Boolean}
+     */
+    function shouldStop() {
+
+        w.update();
+
+        if (
+            !stopRequested
+            && 'Escape' === ScriptUI.environment.keyboardState.keyName
+        )
+            stopRequested = true;
+
+        return stopRequested;
 
-    pb.update = function (n) { this.value = n; w.update(); };
+    };
 
-    // update the UI
-    updateUI();
+    /**
+     * Updates the UI.
+     */
+    function updateUI() {
 
-    // show the dialog
-    if (settings.windowLocation)
-        w.location = settings.windowLocation;
-    else
-        w.center();
+        // update fields
+        spreadField.text = formatDistance(settings.spread, UNITS);
+        dampingField.text = (settings.damping * 100).toFixed(0);
+        anchorStiffnessField.text = (settings.anchorStiffness * 100).toFixed(0);
+        radiusField.text = formatDistance(settings.radius, UNITS);
+        maxStepsField.text = settings.maxSteps.toFixed(0);
+        scaleFactorField.text = (settings.scaleFactor * 100).toFixed(0);
+        maxIterationsField.text = settings.maxIterations.toFixed(0);
 
-    return w.show();
+        // update sliders
+        spreadSlider.value = settings.spread;
+        dampingSlider.value = settings.damping * 100;
+        anchorStiffnessSlider.value = settings.anchorStiffness * 100;
+        radiusSlider.value = getNumberInSliderUnits(settings.radius);
+        maxStepsSlider.value = getNumberInSliderUnits(settings.maxSteps);
+        scaleFactorSlider.value = settings.scaleFactor * 100;
+        maxIterationsSlider.value = settings.maxIterations;
+
+        // update dropdowns
+        falloffDropdown.selection = Math.max(0, indexOfArray(FALLOFFS, settings.falloff));
+
+        // algorithm and scope controls
+        algorithmDropdown.selection = Math.max(0, indexOfArray(ALGORITHMS, settings.algorithm));
+        lloydIterationsField.text = settings.lloydIterations.toFixed(0);
+        scopeDropdown.selection = Math.max(0, indexOfArray(SCOPES, settings.scope));
+        keepPathOrderCheckbox.value = settings.keepPathOrder;
+        rotateToPathCheckbox.value = settings.rotateToPath;
+
+        // scatter controls
+        scatterCountField.text = String(settings.scatterCount);
+        scatterSpacingField.text = formatDistance(settings.scatterSpacing, UNITS);
+        scatterWeightsField.text = settings.scatterWeights || '';
+        scatterRotationMinField.text = String(settings.scatterRotationMin);
+        scatterRotationMaxField.text = String(settings.scatterRotationMax);
+        scatterScaleMinField.text = (settings.scatterScaleMin * 100).toFixed(0);
+        scatterScaleMaxField.text = (settings.scatterScaleMax * 100).toFixed(0);
 
+        // update checkboxes
+        keepWithinBoundsDropdown.selection = Math.max(0, indexOfArray(BOUNDS_MODES, true === settings.keepWithinBounds ? 'stretch' : settings.keepWithinBounds));
+        boundsPaddingField.text = formatDistance(settings.boundsPadding, UNITS);
+        updateBoundsControls();
+        sizeAwareCheckbox.value = settings.sizeAware;
+        seedField.text = String(settings.seed);
+        convergenceThresholdField.text = formatDistance(settings.convergenceThreshold, UNITS);
+
+        // size aware controls
+        repulsionShapeDropdown.selection = Math.max(0, indexOfArray(REPULSION_SHAPES, settings.repulsionShape));
+        minimumGapField.text = formatDistance(settings.minimumGap, UNITS);
+        updateSizeAwareControls();
+
+        // container controls
+        containerDropdown.selection = Math.max(0, indexOfArray(CONTAINERS, settings.container));
+        containerBehaviourDropdown.selection = Math.max(0, indexOfArray(CONTAINER_BEHAVIOURS, settings.containerBehaviour));
+        updateContainerControls();
+
+        // axis controls
+        axisDropdown.selection = Math.max(0, indexOfArray(AXES, settings.axis));
+        axisAngleField.text = String(settings.axisAngle);
+        forceMultiplierXField.text = (settings.forceMultiplierX * 100).toFixed(0);
+        forceMultiplierYField.text = (settings.forceMultiplierY * 100).toFixed(0);
+        updateAxisControls();
+        updateAlgorithmControls();
+
+        // pinned items and obstacles
+        pinLockedItemsCheckbox.value = settings.pinLockedItems;
+        pinLayerNameField.text = settings.pinLayerName || '';
+        pinNamePrefixField.text = settings.pinNamePrefix || '';
+        useObstaclesCheckbox.value = settings.useObstacles;
+        fastBoundsCheckbox.value = settings.fastBounds;
+
+        // lattice controls
+        latticeDropdown.selection = Math.max(0, indexOfArray(LATTICES, settings.lattice));
+        latticePitchField.text = formatDistance(settings.latticePitch, UNITS);
+        updateLatticeControls();
+
+        // overlaps controls
+        resolveOverlapsCheckbox.value = settings.resolveOverlaps;
+        overlapGapField.text = formatDistance(settings.overlapGap, UNITS);
+        updateOverlapsControls();
+
+        // leader lines controls
+        leaderLinesCheckbox.value = settings.leaderLines;
+        leaderStrokeWidthField.text = formatDistance(settings.leaderStrokeWidth, UNITS);
+        leaderStrokeGrayField.text = String(settings.leaderStrokeGray);
+        leaderThresholdField.text = formatDistance(settings.leaderThreshold, UNITS);
+        leaderLayerNameField.text = settings.leaderLayerName || '';
+        updateLeaderControls();
+
+        stopBehaviourDropdown.selection = Math.max(0, indexOfArray(STOP_BEHAVIOURS, settings.stopBehaviour));
+
+        // history buttons
+        updateHistoryButtons();
+
+        updateWarningText();
+
+    };
 
     /**
-     * Returns a function suitable for listening to the
-     * `onChanging` event of an SUI Slider, such that
-     * when the slider is changed, `field` is updated.
-     * @param {SUI EditText Control} field - the field to set.
-     * @param {Function} [valueFunction] - an optional custom function for converting the field text (default: nothing).
-     * @param {Number} decimalPlaces - the number of decimal places for the value.
-     * @returns {Function}
+     * Sets the warning text according to how many operations are configured.
      */
-    function getSliderOnChangingFunction(field, valueFunction, decimalPlaces) {
+    function updateWarningText() {
 
-        return (function (field, decimalPlaces) {
+        // when repelling using item bounds, the grid cell size depends on the largest item
+        var reach = sizeAwareCheckbox.value
+            ? settings.largestItemSize * (0 === repulsionShapeDropdown.selection.index ? 1 : Math.SQRT2) + (getDistance(minimumGapField.text) || 0)
+            : getDistance(radiusField.text);
 
-            var fn = valueFunction || function (n) { return n.toFixed(decimalPlaces) };
+        if (
+            'path' === ALGORITHMS[algorithmDropdown.selection.index]
+            || 'scatter' === ALGORITHMS[algorithmDropdown.selection.index]
+        )
+            // placing along a path, or scattering, is quick
+            ops = 0;
 
-            return function () {
-                field.text = fn(this.value, decimalPlaces);
-                updateWarningText();
-            };
+        else if ('lloyd' === ALGORITHMS[algorithmDropdown.selection.index])
+            // each iteration compares every sample with its neighbouring items
+            ops = (Number(lloydIterationsField.text) || 0) * settings.positions.length * LLOYD_OPERATIONS_PER_ITEM;
 
-        })(field, decimalPlaces);
+        else
+            ops = estimateOperations(
+                settings.positions.length,
+                settings.pointsBounds,
+                reach,
+                Number(maxStepsField.text),
+                Number(maxIterationsField.text),
+                settings.useSpatialGrid
+            );
+
+        if (ops > OPERATIONS_WARNING_ALERT_THRESHOLD)
+            warningText.text = 'WARNING: ' + formatNumber(ops) + ' operations WILL TAKE A LONG TIME!';
+        else if (ops > OPERATIONS_WARNING_TEXT_THRESHOLD)
+            warningText.text = 'WARNING: ' + formatNumber(ops) + ' operations may take a long time!';
+        else
+            warningText.text = '';
 
     };
 
     /**
-     * Converts a slider value into a string suitable for a field numeric value.
-     * The slider value is mapped from slider's range (0..100)
-     * to 1..1000 with exponential scaling such that low slider values
-     * can be accessed precisely, while still allowing large values to be
-     * chosen (but with less precision).
-     * @param {Number} n - the slider value (0..100).
-     * @param {Number} [decimalPlaces] - the number of decimal places in the result (default: 0).
-     * @returns {String}
+     * Enables the controls that apply to the
+     * current "Repel using item bounds" state.
      */
-    function getFieldNumberFromSliderValue(n, decimalPlaces) {
+    function updateSizeAwareControls() {
 
-        var exponenialValue = SLIDER_SCALE_FACTOR * (Math.exp(SLIDER_GROWTH_CONSTANT * n) - 1);
-        return (exponenialValue + 1).toFixed(decimalPlaces || 0);
+        var sizeAware = sizeAwareCheckbox.value;
+
+        repulsionShapeDropdown.enabled = sizeAware;
+        minimumGapLabel.enabled = sizeAware;
+        minimumGapField.enabled = sizeAware;
+
+        // radius and falloff are not used when repelling using item bounds
+        var isForce = 'force' === ALGORITHMS[algorithmDropdown.selection.index];
+        radiusGroup.enabled = isForce && !sizeAware;
+        falloffGroup.enabled = isForce && !sizeAware;
+
+        updateWarningText();
 
     };
 
     /**
-     * Returns a function suitable for listening to the
-     * `onChanging` event of an EditText field, such that
-     * when the field is changed, the slider is updated.
-     * @param {Function} [valueFunction] - an optional custom function for converting the field text (default: Number).
-     * @param {SUI Slider Control} slider - the slider to set.
-     * @param {Number} min - the slider min value.
-     * @param {Number} max - the slider max value.
-     * @returns {Function}
+     * Enables the container behaviour dropdown
+     * only when a container is chosen.
      */
-    function getFieldOnChangingFunction(valueFunction, slider, min, max) {
+    function updateContainerControls() {
 
-        return (function (fn, slider, min, max) {
+        containerBehaviourDropdown.enabled = containerDropdown.selection.index > 0;
 
-            fn = fn || Number;
+    };
 
-            return function () {
+    /**
+     * Enables the controls used by the chosen algorithm.
+     */
+    function updateAlgorithmControls() {
+
+        var algorithm = ALGORITHMS[algorithmDropdown.selection.index],
+            isForce = 'force' === algorithm,
+            isPath = 'path' === algorithm,
+            isScatter = 'scatter' === algorithm;
+
+        lloydIterationsLabel.enabled = 'lloyd' === algorithm;
+        lloydIterationsField.enabled = 'lloyd' === algorithm;
+        pathGroup.enabled = isPath;
+        scatterCountGroup.enabled = isScatter;
+        scatterRangeGroup.enabled = isScatter;
+        scopeGroup.enabled = !isPath && !isScatter;
+
+        // placing along a path doesn't use these, and each artboard's items are kept on their artboard
+        containerGroup.enabled = !isPath && !(scopeGroup.enabled && 'artboard' === SCOPES[scopeDropdown.selection.index]);
+        obstaclesGroup.enabled = !isPath && !isScatter;
+        latticeGroup.enabled = !isPath && !isScatter;
+        overlapsGroup.enabled = !isPath && !isScatter;
+
+        // the copies don't move, so these don't apply
+        pinGroup.enabled = !isScatter;
+        leaderGroup.enabled = !isScatter;
+        leaderLayerGroup.enabled = !isScatter;
+
+        // the force simulation controls
+        spreadGroup.enabled = isForce;
+        dampingGroup.enabled = isForce;
+        anchorStiffnessGroup.enabled = isForce;
+        maxStepsGroup.enabled = isForce;
+        scaleGroup.enabled = isForce;
+        maxIterationsGroup.enabled = isForce;
+        boundsGroup.enabled = isForce;
+        sizeAwareGroup.enabled = isForce;
+        axisGroup.enabled = isForce;
+
+        updateSizeAwareControls();
 
-                var n = fn(this.text);
+    };
 
-                if (
-                    isNaN(n)
-                    || n < min
-                    || n > max
-                ) {
-                    slider.enabled = false;
-                }
+    /**
+     * Enables the padding field only when fitting with padding.
+     */
+    function updateBoundsControls() {
 
-                else {
-                    slider.enabled = true;
-                    slider.value = n;
-                }
+        boundsPaddingField.enabled = 'pad' === BOUNDS_MODES[keepWithinBoundsDropdown.selection.index];
+
+    };
+
+    /**
+     * Enables the gap field only when resolving overlaps.
+     */
+    function updateOverlapsControls() {
+
+        overlapGapLabel.enabled = resolveOverlapsCheckbox.value;
+        overlapGapField.enabled = resolveOverlapsCheckbox.value;
+
+    };
+
+    /**
+     * Enables the leader line fields only when drawing leader lines.
+     */
+    function updateLeaderControls() {
+
+        var enabled = leaderLinesCheckbox.value;
+
+        leaderStrokeWidthLabel.enabled = enabled;
+        leaderStrokeWidthField.enabled = enabled;
+        leaderStrokeGrayLabel.enabled = enabled;
+        leaderStrokeGrayField.enabled = enabled;
+        leaderThresholdLabel.enabled = enabled;
+        leaderThresholdField.enabled = enabled;
+        leaderLayerNameLabel.enabled = enabled;
+        leaderLayerNameField.enabled = enabled;
+
+    };
+
+    /**
+     * Enables the pitch field only when snapping to a lattice.
+     */
+    function updateLatticeControls() {
+
+        var isLattice = latticeDropdown.selection.index > 0;
+
+        latticePitchLabel.enabled = isLattice;
+        latticePitchField.enabled = isLattice;
+
+    };
+
+    /**
+     * Enables the angle field only when the axis is 'angle'.
+     */
+    function updateAxisControls() {
+
+        var isAngle = 'angle' === AXES[axisDropdown.selection.index];
+
+        axisAngleField.enabled = isAngle;
+        axisAngleLabel.enabled = isAngle;
+
+    };
+
+    /**
+     * Updates the settings object from the UI.
+     */
+    function updateSettings() {
+
+        settings.algorithm = ALGORITHMS[algorithmDropdown.selection.index];
+        settings.lloydIterations = Math.max(1, Math.floor(Number(lloydIterationsField.text)) || 20);
+        settings.scope = SCOPES[scopeDropdown.selection.index];
+        settings.keepPathOrder = keepPathOrderCheckbox.value;
+        settings.rotateToPath = rotateToPathCheckbox.value;
+        settings.scatterCount = Math.max(1, Math.floor(Number(scatterCountField.text)) || 100);
+        settings.scatterSpacing = Math.max(0, getDistance(scatterSpacingField.text) || 0);
+        settings.scatterWeights = scatterWeightsField.text;
+        settings.scatterRotationMin = Number(scatterRotationMinField.text) || 0;
+        settings.scatterRotationMax = Number(scatterRotationMaxField.text) || 0;
+        settings.scatterScaleMin = Number(scatterScaleMinField.text) / 100 || 1;
+        settings.scatterScaleMax = Number(scatterScaleMaxField.text) / 100 || 1;
+
+        settings.spread = getDistance(spreadField.text);
+        settings.damping = Number(dampingField.text) / 100;
+        settings.anchorStiffness = (Number(anchorStiffnessField.text) || 0) / 100;
+        settings.radius = getDistance(radiusField.text);
+        settings.falloff = FALLOFFS[falloffDropdown.selection.index];
+        settings.maxSteps = Number(maxStepsField.text);
+        settings.scaleFactor = Number(scaleFactorField.text) / 100;
+        settings.maxIterations = Number(maxIterationsField.text);
+
+        settings.keepWithinBounds = BOUNDS_MODES[keepWithinBoundsDropdown.selection.index];
+        settings.boundsPadding = Math.max(0, getDistance(boundsPaddingField.text) || 0);
+        settings.seed = Math.floor(Number(seedField.text)) || 1;
+        settings.convergenceThreshold = Math.max(0, getDistance(convergenceThresholdField.text) || 0);
+
+        settings.sizeAware = sizeAwareCheckbox.value;
+        settings.repulsionShape = REPULSION_SHAPES[repulsionShapeDropdown.selection.index];
+        settings.minimumGap = getDistance(minimumGapField.text) || 0;
+
+        settings.container = CONTAINERS[containerDropdown.selection.index];
+        settings.containerBehaviour = CONTAINER_BEHAVIOURS[containerBehaviourDropdown.selection.index];
+
+        settings.axis = AXES[axisDropdown.selection.index];
+        settings.axisAngle = Number(axisAngleField.text) || 0;
+        settings.forceMultiplierX = isNaN(Number(forceMultiplierXField.text)) ? 1 : Number(forceMultiplierXField.text) / 100;
+        settings.forceMultiplierY = isNaN(Number(forceMultiplierYField.text)) ? 1 : Number(forceMultiplierYField.text) / 100;
+
+        settings.pinLockedItems = pinLockedItemsCheckbox.value;
+        settings.pinLayerName = pinLayerNameField.text;
+        settings.pinNamePrefix = pinNamePrefixField.text;
+        settings.useObstacles = useObstaclesCheckbox.value;
+        settings.fastBounds = fastBoundsCheckbox.value;
+
+        settings.lattice = LATTICES[latticeDropdown.selection.index];
+        settings.latticePitch = Math.max(0, getDistance(latticePitchField.text) || 0);
+
+        settings.resolveOverlaps = resolveOverlapsCheckbox.value;
+        settings.overlapGap = Math.max(0, getDistance(overlapGapField.text) || 0);
+
+        settings.leaderLines = leaderLinesCheckbox.value;
+        settings.leaderStrokeWidth = Math.max(0, getDistance(leaderStrokeWidthField.text) || 0);
+        settings.leaderStrokeGray = Math.max(0, Math.min(100, Number(leaderStrokeGrayField.text) || 0));
+        settings.leaderThreshold = Math.max(0, getDistance(leaderThresholdField.text) || 0);
+        settings.leaderLayerName = leaderLayerNameField.text || 'Leader Lines';
+
+        settings.stopBehaviour = STOP_BEHAVIOURS[stopBehaviourDropdown.selection.index];
+
+    };
+
+    /**
+     * Returns array of items' positions [x , y].
+     * @param {Array<PageItem>} items - the items.
+     * @returns {Array<position>}
+     */
+    function getPositionValues(items) {
+
+        var positions = [];
+
+        for (var i = 0; i < items.length; i++)
+            positions.push(items[i].position);
+
+        return positions;
+
+    };
+
+    /**
+     * Moves each item to its position [x, y].
+     * @param {Array<PageItem>} items - the items.
+     * @param {Array<position>} positions - the items' positions.
+     */
+    function setPositionValues(items, positions) {
+
+        for (var i = 0; i < items.length; i++) {
+
+            if (
+                items[i].position[0] !== positions[i][0]
+                || items[i].position[1] !== positions[i][1]
+            )
+                items[i].position = positions[i];
+
+        }
+
+    };
+
+    /**
+     * Returns true when two arrays of positions are the same.
+     * @param {Array<position>} positionsA
+     * @param {Array<position>} positionsB
+     * @returns {Boolean}
+     */
+    function positionsAreEqual(positionsA, positionsB) {
+
+        if (positionsA.length !== positionsB.length)
+            return false;
+
+        for (var i = 0; i < positionsA.length; i++) {
+
+            if (
+                positionsA[i][0] !== positionsB[i][0]
+                || positionsA[i][1] !== positionsB[i][1]
+            )
+                return false;
+
+        }
+
+        return true;
+
+    };
+
+    /**
+     * Returns true when two arrays of rotations are the same.
+     * @param {Array<Number>} rotationsA
+     * @param {Array<Number>} rotationsB
+     * @returns {Boolean}
+     */
+    function rotationsAreEqual(rotationsA, rotationsB) {
+
+        if (rotationsA.length !== rotationsB.length)
+            return false;
+
+        for (var i = 0; i < rotationsA.length; i++)
+            if (rotationsA[i] !== rotationsB[i])
+                return false;
+
+        return true;
+
+    };
+
+    /**
+     * Returns the selected items, followed by the
+     * children of any selected, unclipped, groups,
+     * which are moved when distributing per group.
+     * @returns {Array<PageItem>}
+     */
+    function getHistoryItems() {
+
+        var items = settings.items.slice();
+
+        for (var i = 0; i < settings.items.length; i++) {
+
+            if (
+                'GroupItem' !== settings.items[i].typename
+                || settings.items[i].clipped
+            )
+                continue;
+
+            for (var j = 0; j < settings.items[i].pageItems.length; j++)
+                items.push(settings.items[i].pageItems[j]);
+
+        }
+
+        return items;
+
+    };
+
+    /**
+     * Returns true when any of the items have been moved,
+     * or scattered copies have been made.
+     * @returns {Boolean}
+     */
+    function itemsAreDirty() {
+
+        return undefined != settings.scatterGroup
+            || !positionsAreEqual(getPositionValues(settings.items), settings.positions)
+            || !rotationsAreEqual(getSnapshot().rotations, history[0].rotations);
+
+    };
+
+};
+
+/**
+ * Returns options for running without the dialog, if any were
+ * supplied, either as `$.global.distributeItemsOptions`, or in
+ * a JSON file next to this script, with the same name as the
+ * script but with the extension ".json".
+ * The global options are used once, then cleared.
+ * @author m1b
+ * @version 2026-10-19
+ * @returns {Object?}
+ */
+function getHeadlessOptions() {
+
+    var options = $.global.distributeItemsOptions;
+
+    if (options) {
+        // so the options don't apply to the next run
+        $.global.distributeItemsOptions = undefined;
+        return options;
+    }
+
+    var sidecar = File(File($.fileName).fsName.replace(/\.jsx?$/i, '') + '.json');
+
+    if (!sidecar.exists)
+        return;
+
+    try {
+        options = readJSONFile(sidecar);
+    }
+
+    catch (error) {
+        throw new Error('Distribute Items: could not read the options file "' + sidecar.fsName + '": ' + error.message);
+    }
+
+    if (
+        !options
+        || 'object' !== typeof options
+        || 'Array' === options.constructor.name
+    )
+        throw new Error('Distribute Items: the options file "' + sidecar.fsName + '" must contain a JSON object.');
+
+    return options;
+
+};
+
+/**
+ * Throws an error describing every invalid value in `options`.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Object} options - the options to validate.
+ * @returns {Object} - the options, when valid.
+ */
+function validateOptions(options) {
+
+    var rules = {
+        fastBounds: isBoolean,
+        scope: isOneOf(['all', 'artboard', 'group']),
+        algorithm: isOneOf(['force', 'lloyd', 'path', 'scatter']),
+        keepPathOrder: isBoolean,
+        rotateToPath: isBoolean,
+        scatterCount: isWholeNumber(1),
+        scatterSpacing: isNumber(0, Infinity),
+        scatterWeights: isString,
+        scatterRotationMin: isNumber(-Infinity, Infinity),
+        scatterRotationMax: isNumber(-Infinity, Infinity),
+        scatterScaleMin: isNumber(0, Infinity, true),
+        scatterScaleMax: isNumber(0, Infinity, true),
+        lloydIterations: isWholeNumber(1),
+        spread: isNumber(0, Infinity, true),
+        damping: isNumber(0, 1, true),
+        anchorStiffness: isNumber(0, 1),
+        radius: isNumber(0, Infinity, true),
+        falloff: isOneOf(['constant', 'linear', 'inverseSquare', 'gaussian']),
+        maxSteps: isWholeNumber(1),
+        maxIterations: isWholeNumber(1),
+        scaleFactor: isNumber(0, Infinity, true),
+        keepWithinBounds: isBooleanOr(isOneOf(['none', 'stretch', 'fit', 'pad'])),
+        boundsPadding: isNumber(0, Infinity),
+        useSpatialGrid: isBoolean,
+        sizeAware: isBoolean,
+        repulsionShape: isOneOf(['rectangle', 'circle']),
+        minimumGap: isNumber(0, Infinity),
+        container: isOneOf(['none', 'artboard', 'path']),
+        containerBehaviour: isOneOf(['clamp', 'reflect']),
+        axis: isOneOf(['both', 'x', 'y', 'angle']),
+        axisAngle: isNumber(-Infinity, Infinity),
+        forceMultiplierX: isNumber(0, Infinity),
+        forceMultiplierY: isNumber(0, Infinity),
+        pinLockedItems: isBoolean,
+        pinLayerName: isString,
+        pinNamePrefix: isString,
+        useObstacles: isBoolean,
+        coincidentTolerance: isNumber(0, Infinity),
+        seed: isNumber(-Infinity, Infinity),
+        convergenceThreshold: isNumber(0, Infinity),
+        lattice: isOneOf(['none', 'square', 'hex']),
+        latticePitch: isNumber(0, Infinity),
+        resolveOverlaps: isBoolean,
+        overlapGap: isNumber(0, Infinity),
+        maxOverlapPasses: isWholeNumber(1),
+        leaderLines: isBoolean,
+        leaderLayerName: isString,
+        leaderStrokeWidth: isNumber(0, Infinity),
+        leaderStrokeGray: isNumber(0, 100),
+        leaderThreshold: isNumber(0, Infinity),
+        reportFile: isString,
+    };
+
+    var problems = [];
+
+    for (var key in options) {
+
+        if (!options.hasOwnProperty(key))
+            continue;
+
+        if (!rules.hasOwnProperty(key)) {
+            problems.push('`' + key + '` is not a known option.');
+            continue;
+        }
 
-                updateWarningText();
+        var problem = rules[key](options[key]);
 
-            };
+        if (problem)
+            problems.push('`' + key + '` ' + problem + ', but was ' + stringifyJSON(options[key]) + '.');
 
-        })(valueFunction, slider, min, max);
+    }
 
-    };
+    if (problems.length > 0)
+        throw new Error('Distribute Items: invalid options:\n' + problems.join('\n'));
+
+    return options;
 
     /**
-     * Adds a glossary term to the help page.
-     * @param {SUI Container} container
-     * @param {String} title
-     * @param {String} text
+     * Returns a rule requiring a number within `min`..`max`.
+     * @param {Number} min - the minimum value.
+     * @param {Number} max - the maximum value.
+     * @param {Boolean} [excludeMin] - whether the minimum value itself is invalid.
+     * @returns {Function}
      */
-    function addHelpEntry(container, title, text) {
+    function isNumber(min, max, excludeMin) {
 
-        var row = container.add("group {orientation:'row', alignment:['left','top'], alignChildren: ['left','top'], margins:[0,0,0,0] }"),
-            text1 = row.add("statictext", undefined, title),
-            text2 = row.add("statictext", undefined, text, { multiline: true });
+        return function (value) {
 
-        text1.preferredSize = [150, -1];
-        text2.preferredSize = [220, -1];
+            if (
+                'number' !== typeof value
+                || isNaN(value)
+                || value < min
+                || value > max
+                || (excludeMin && value === min)
+            )
+                return 'must be a number'
+                    + (isFinite(min) ? (excludeMin ? ' greater than ' : ' no less than ') + min : '')
+                    + (isFinite(max) ? ' and no more than ' + max : '');
+
+        };
 
     };
 
     /**
-     * Returns `n` in slider units.
-     * Maps 0..1000 to 1..100 with logarithmic scaling.
-     * @param {Number} n - a number in the range 0..1000.
-     * @returns {Number}
+     * Returns a rule requiring a whole number no less than `min`.
+     * @param {Number} min - the minimum value.
+     * @returns {Function}
      */
-    function getNumberInSliderUnits(n) {
+    function isWholeNumber(min) {
 
-        return Math.log(Number(n) / SLIDER_SCALE_FACTOR + 1) / SLIDER_GROWTH_CONSTANT;
+        return function (value) {
+
+            if (
+                'number' !== typeof value
+                || value !== Math.floor(value)
+                || value < min
+            )
+                return 'must be a whole number no less than ' + min;
+
+        };
 
     };
 
     /**
-     * Shows/hides the help page.
+     * Returns a rule requiring one of `values`.
+     * @param {Array<String>} values - the valid values.
+     * @returns {Function}
      */
-    function toggleHelp() {
+    function isOneOf(values) {
 
-        uiPage.visible = !uiPage.visible;
-        helpPage.visible = !helpPage.visible;
+        return function (value) {
+
+            if (-1 === indexOfArray(values, value) || 'string' !== typeof value)
+                return 'must be one of "' + values.join('", "') + '"';
+
+        };
 
     };
 
-    /**
-     * Performs an Undo.
-     */
-    function undo() {
+    /** Rule requiring true or false. */
+    function isBoolean(value) {
 
-        app.undo();
-        app.redraw();
-        updateUI();
+        if ('boolean' !== typeof value)
+            return 'must be true or false';
 
     };
 
     /**
-     * Resets the UI to the original settings object.
+     * Returns a rule requiring true or false, or else passing `rule`.
+     * @param {Function} rule - the other rule.
+     * @returns {Function}
      */
-    function doReset() {
+    function isBooleanOr(rule) {
 
-        settings.spread = reset.spread;
-        settings.damping = reset.damping;
-        settings.radius = reset.radius;
-        settings.maxSteps = reset.maxSteps;
-        settings.scaleFactor = reset.scaleFactor;
-        settings.maxIterations = reset.maxIterations;
-        updateUI();
+        return function (value) {
+
+            var problem = 'boolean' === typeof value ? undefined : rule(value);
+
+            if (problem)
+                return problem + ', or true or false';
+
+        };
 
     };
 
-    /**
-     * Performs the distribution.
-     */
-    function doDistribute() {
+    /** Rule requiring a string. */
+    function isString(value) {
 
-        updateSettings();
+        if ('string' !== typeof value)
+            return 'must be a string';
 
-        if (
-            !settings.doNotShowWarning
-            && ops > OPERATIONS_WARNING_ALERT_THRESHOLD
-        ) {
+    };
 
-            if (!confirm('CAUTION:\nYou are about to start a distribution that will involve ' + formatNumber(ops) + ' operations. It will be VERY slow to run, or may even fail. Do you wish to continue?'))
-                return;
+};
+
+/**
+ * Returns a JSON summary of a distribution, and makes it available
+ * as `$.global.distributeItemsResult`. When `reportFile` is given,
+ * the summary is also written to that file.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Object} summary - the result returned by `distributeItems`.
+ * @param {String} [reportFile] - the path of a file to write.
+ * @returns {String}
+ */
+function reportSummary(summary, reportFile) {
+
+    var json = stringifyJSON(summary);
+
+    $.global.distributeItemsResult = summary;
+
+    if (reportFile) {
+
+        var file = File(reportFile);
+        file.encoding = 'UTF-8';
+
+        if (!file.open('w'))
+            throw new Error('Distribute Items: could not write the report file "' + file.fsName + '".');
+
+        file.write(json);
+        file.close();
+
+    }
+
+    return json;
+
+};
+
+/**
+ * Copies the `keys` values of `preset` into `settings`.
+ * Values missing from the preset are left as they are.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Object} settings - the settings to update.
+ * @param {Object} preset - the preset values.
+ * @param {Array<String>} keys - the keys to copy.
+ * @returns {Object} - the settings.
+ */
+function applyPreset(settings, preset, keys) {
+
+    for (var i = 0; i < keys.length; i++)
+        if (undefined != preset[keys[i]])
+            settings[keys[i]] = preset[keys[i]];
+
+    return settings;
+
+};
+
+/**
+ * Returns the stored presets data from a JSON file,
+ * or empty presets data if the file can't be read.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {File} file - the presets file.
+ * @returns {Object} - { presets: Object, lastPreset: String?, windowLocation: Array<Number>? }.
+ */
+function readPresetsFile(file) {
+
+    var data;
+
+    if (file.exists) {
 
+        try {
+            data = readJSONFile(file);
         }
 
-        warningText.visible = false;
-        pb.visible = true;
-        settings.pb = pb;
-        pb.maxvalue = settings.maxSteps * settings.maxIterations;
-        pb.update(1);
+        catch (error) {
+            data = undefined;
+        }
 
-        // do the distribution
-        settings.doFunction(settings);
+    }
 
-        app.redraw();
-        updateUI();
+    if (
+        !data
+        || 'object' !== typeof data
+    )
+        data = {};
 
-        pb.visible = false;
-        warningText.visible = true;
+    if (
+        !data.presets
+        || 'object' !== typeof data.presets
+    )
+        data.presets = {};
 
-    };
+    return data;
 
-    /**
-     * Updates the UI.
-     */
-    function updateUI() {
+};
 
-        // update fields
-        spreadField.text = settings.spread.toFixed(1);
-        dampingField.text = (settings.damping * 100).toFixed(0);
-        radiusField.text = settings.radius.toFixed(1);
-        maxStepsField.text = settings.maxSteps.toFixed(0);
-        scaleFactorField.text = (settings.scaleFactor * 100).toFixed(0);
-        maxIterationsField.text = settings.maxIterations.toFixed(0);
+/**
+ * Returns the object represented by the JSON contents of `file`.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {File} file - the JSON file.
+ * @returns {*}
+ */
+function readJSONFile(file) {
 
-        // update sliders
-        spreadSlider.value = settings.spread;
-        dampingSlider.value = settings.damping * 100;
-        radiusSlider.value = getNumberInSliderUnits(settings.radius);
-        maxStepsSlider.value = getNumberInSliderUnits(settings.maxSteps);
-        scaleFactorSlider.value = settings.scaleFactor * 100;
-        maxIterationsSlider.value = settings.maxIterations;
+    file.encoding = 'UTF-8';
 
-        // update checkboxes
-        keepWithinBoundsCheckbox.value = settings.keepWithinBounds;
+    if (!file.open('r'))
+        throw new Error('readJSONFile: could not open "' + file.fsName + '".');
 
-        // undo button
-        undoButton.enabled = itemsAreDirty();
+    var json = file.read();
+    file.close();
 
-        updateWarningText();
+    return parseJSON(json);
 
-    };
+};
 
-    /**
-     * Sets the warning text according to how many operations are configured.
-     */
-    function updateWarningText() {
+/**
+ * Writes the presets data to a JSON file.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {File} file - the presets file.
+ * @param {Object} data - the presets data.
+ * @returns {Boolean} - true when written.
+ */
+function writePresetsFile(file, data) {
 
-        ops = settings.positions.length * settings.positions.length * Number(maxStepsField.text) * Number(maxIterationsField.text);
+    file.encoding = 'UTF-8';
 
-        if (ops > OPERATIONS_WARNING_ALERT_THRESHOLD)
-            warningText.text = 'WARNING: ' + formatNumber(ops) + ' operations WILL TAKE A LONG TIME!';
-        else if (ops > OPERATIONS_WARNING_TEXT_THRESHOLD)
-            warningText.text = 'WARNING: ' + formatNumber(ops) + ' operations may take a long time!';
-        else
-            warningText.text = '';
+    if (!file.open('w'))
+        return false;
 
-    };
+    var written = file.write(stringifyJSON(data));
+    file.close();
 
-    /**
-     * Updates the settings object from the UI.
-     */
-    function updateSettings() {
+    return written;
 
-        settings.spread = Number(spreadField.text);
-        settings.damping = Number(dampingField.text) / 100;
-        settings.radius = Number(radiusField.text);
-        settings.maxSteps = Number(maxStepsField.text);
-        settings.scaleFactor = Number(scaleFactorField.text) / 100;
-        settings.maxIterations = Number(maxIterationsField.text);
+};
 
-        settings.keepWithinBounds = keepWithinBoundsCheckbox.value;
+/**
+ * Returns `obj` as a JSON string.
+ * ExtendScript has no JSON object, so this handles
+ * the basic types: Object, Array, String, Number,
+ * Boolean and null. Functions and undefined values
+ * are left out of objects.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {*} obj - the thing to stringify.
+ * @param {String} [indent] - @private parameter, the current indentation.
+ * @returns {String}
+ */
+function stringifyJSON(obj, indent) {
 
-    };
+    indent = indent || '';
 
-    /**
-     * Returns array of items' positions [x , y].
-     * @returns {Array<position>}
-     */
-    function getPositionValues() {
+    var innerIndent = indent + '    ',
+        parts = [];
 
-        var positions = [];
+    if (
+        null === obj
+        || undefined === obj
+        || 'function' === typeof obj
+    )
+        return 'null';
 
-        for (var i = 0; i < settings.items.length; i++)
-            positions.push(settings.items[i].position);
+    else if ('number' === typeof obj)
+        return isFinite(obj) ? String(obj) : 'null';
 
-        return positions;
+    else if ('boolean' === typeof obj)
+        return String(obj);
 
-    };
+    else if ('string' === typeof obj)
+        return '"' + obj.replace(/[\\"\x00-\x1f]/g, escapeCharacter) + '"';
+
+    else if ('Array' === obj.constructor.name) {
+
+        if (0 === obj.length)
+            return '[]';
+
+        for (var i = 0; i < obj.length; i++)
+            parts.push(innerIndent + stringifyJSON(obj[i], innerIndent));
+
+        return '[\n' + parts.join(',\n') + '\n' + indent + ']';
+
+    }
+
+    for (var key in obj) {
+
+        if (
+            !obj.hasOwnProperty(key)
+            || undefined === obj[key]
+            || 'function' === typeof obj[key]
+        )
+            continue;
+
+        parts.push(innerIndent + stringifyJSON(key) + ': ' + stringifyJSON(obj[key], innerIndent));
+
+    }
+
+    if (0 === parts.length)
+        return '{}';
+
+    return '{\n' + parts.join(',\n') + '\n' + indent + '}';
 
     /**
-     * Returns true when the items have been moved.
-     * @returns {Boolean}
+     * Returns the JSON escape sequence for a character.
+     * @param {String} ch - the character.
+     * @returns {String}
      */
-    function itemsAreDirty(len) {
+    function escapeCharacter(ch) {
 
-        // only really need to check half the items
-        len = Math.min(settings.positions.length, len || Math.ceil(settings.positions.length / 2));
+        var escapes = { '"': '\\"', '\\': '\\\\', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
 
-        for (var i = 0; i < len; i++) {
+        return escapes[ch] || '\\u' + ('0000' + ch.charCodeAt(0).toString(16)).slice(-4);
 
-            if (
-                settings.positions[i][0] !== settings.items[i].position[0]
-                || settings.positions[i][1] !== settings.items[i].position[1]
-            )
-                return true
-        }
+    };
 
-        return false;
+};
 
-    };
+/**
+ * Returns the object represented by a JSON string.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {String} json - the JSON string.
+ * @returns {*}
+ */
+function parseJSON(json) {
+
+    if (!/^[\],:{}\s]*$/.test(
+        json
+            .replace(/\\(?:["\\\/bfnrt]|u[0-9a-fA-F]{4})/g, '@')
+            .replace(/"[^"\\\n\r]*"|true|false|null|-?\d+(?:\.\d*)?(?:[eE][+\-]?\d+)?/g, ']')
+            .replace(/(?:^|:|,)(?:\s*\[)+/g, '')
+    ))
+        throw new Error('parseJSON: not valid JSON.');
+
+    return eval('(' + json + ')');
 
 };
 
@@ -1002,38 +5963,73 @@ function scalePoints(points, scaleFactor, fulcrum) {
 
 /**
  * Returns an array of points by scaling `points` to fit within `bounds`.
+ *   - 'stretch': scale width and height separately to fill the bounds.
+ *   - 'fit': scale width and height equally, centered in the bounds.
+ *   - 'pad': as 'fit', but inside the bounds inset by `padding`.
+ * When the points, or the bounds, are all in one row, or one
+ * column, the points are centered in the other direction, rather
+ * than scaled. The padding never insets the bounds to nothing.
  * @author m1b
- * @version 2024-11-13
+ * @version 2026-10-19
  * @param {Array<point>} points - the points [x, y] to scale.
  * @param {Array<Number>} bounds - the target bounding box [L, T, R, B].
+ * @param {String} [mode] - 'stretch', 'fit' or 'pad' (default: 'stretch').
+ * @param {Number} [padding] - when `mode` is 'pad', the inner padding (default: 0).
  * @returns {Array<point>}
  */
-function scalePointsToBoundingBox(points, bounds) {
+function scalePointsToBoundingBox(points, bounds, mode, padding) {
 
-    var left = bounds[0],
-        top = bounds[1],
-        right = bounds[2],
-        bottom = bounds[3];
+    mode = mode || 'stretch';
+    padding = 'pad' === mode ? padding || 0 : 0;
+
+    // the target bounds, inset by the padding, but never by more than
+    // 45% of each side, so that the target keeps some width and height
+    var centerX = (bounds[0] + bounds[2]) / 2,
+        centerY = (bounds[1] + bounds[3]) / 2,
+        boundsWidth = Math.max(0, bounds[2] - bounds[0]),
+        boundsHeight = Math.max(0, bounds[3] - bounds[1]),
+        targetWidth = boundsWidth - Math.min(padding, boundsWidth * 0.45) * 2,
+        targetHeight = boundsHeight - Math.min(padding, boundsHeight * 0.45) * 2;
 
     // get the bounds of the points
     var pointsBounds = getPointsBounds(points),
         minX = pointsBounds[0],
         minY = pointsBounds[1],
         maxX = pointsBounds[2],
-        maxY = pointsBounds[3];
+        maxY = pointsBounds[3],
+        width = maxX - minX,
+        height = maxY - minY;
+
+    // calculate scaling; undefined when the points, or the target,
+    // have no width, or no height, so that they are centered instead
+    var scaleX = width > 0 && targetWidth > 0 ? targetWidth / width : undefined,
+        scaleY = height > 0 && targetHeight > 0 ? targetHeight / height : undefined;
+
+    if ('stretch' !== mode) {
+
+        // the same scale both ways, so that the whole distribution fits
+        var scale = Math.min(
+            undefined == scaleX ? Infinity : scaleX,
+            undefined == scaleY ? Infinity : scaleY
+        );
 
-    // calculate scaling
-    var scaleX = (right - left) / (maxX - minX);
-    var scaleY = (bottom - top) / (maxY - minY);
+        if (!isFinite(scale))
+            scale = undefined;
 
-    // scale and translate each point
+        // a direction with no target size stays centered
+        scaleX = targetWidth > 0 ? scale : undefined;
+        scaleY = targetHeight > 0 ? scale : undefined;
+
+    }
+
+    // scale and translate each point, about the center of the bounds
     var scaledPoints = [];
 
     for (var i = 0; i < points.length; i++) {
 
         scaledPoints.push([
-            left + (points[i][0] - minX) * scaleX,
-            top + (points[i][1] - minY) * scaleY,
+            centerX + (undefined == scaleX ? 0 : (points[i][0] - (minX + maxX) / 2) * scaleX),
+            centerY + (undefined == scaleY ? 0 : (points[i][1] - (minY + maxY) / 2) * scaleY),
         ]);
 
     }
@@ -1087,6 +6083,23 @@ function copyPoints(points) {
 
 };
 
+/**
+ * Returns index of `obj` within `array`,
+ * or -1 if `obj` not found.
+ * @param {Array<*>} array - the array to search in.
+ * @param {*} obj - the object to look for.
+ * @returns {Number}
+ */
+function indexOfArray(array, obj) {
+
+    for (var i = 0; i < array.length; i++)
+        if (array[i] == obj)
+            return i;
+
+    return -1;
+
+};
+
 /**
  * Returns `num` formatted as string, with magnitude suffixes.
  * @param {Number} num
@@ -1110,6 +6123,134 @@ function formatNumber(num) {
 
 };
 
+/**
+ * Returns the abbreviation of a document's ruler units, eg. 'mm',
+ * or 'pt' if the units are not supported.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Document} doc - an Illustrator Document.
+ * @returns {String}
+ */
+function getRulerUnits(doc) {
+
+    var abbreviations = {
+        Points: 'pt',
+        Picas: 'pc',
+        Inches: 'in',
+        FeetInches: 'in',
+        Feet: 'ft',
+        Yards: 'yd',
+        Millimeters: 'mm',
+        Centimeters: 'cm',
+        Meters: 'm',
+        Qs: 'q',
+        Pixels: 'px',
+    };
+
+    return abbreviations[String(doc.rulerUnits).replace(/^RulerUnits\./, '')] || 'pt';
+
+};
+
+/**
+ * Returns the number of points in one `unit`,
+ * or undefined if the unit is not known.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {String} unit - a unit abbreviation, eg. 'mm', or a name, eg. 'inches'.
+ * @returns {Number?}
+ */
+function getPointsPerUnit(unit) {
+
+    var points = {
+        'pt': 1,
+        'px': 1,
+        'pc': 12,
+        'in': 72,
+        'ft': 864,
+        'yd': 2592,
+        'mm': 72 / 25.4,
+        'cm': 72 / 2.54,
+        'm': 72 / 0.0254,
+        'q': 72 / 25.4 / 4,
+    };
+
+    var synonyms = {
+        'pts': 'pt', 'point': 'pt', 'points': 'pt',
+        'pixel': 'px', 'pixels': 'px',
+        'pica': 'pc', 'picas': 'pc',
+        '"': 'in', 'inch': 'in', 'inches': 'in',
+        'foot': 'ft', 'feet': 'ft',
+        'yard': 'yd', 'yards': 'yd',
+        'millimeter': 'mm', 'millimeters': 'mm', 'millimetre': 'mm', 'millimetres': 'mm',
+        'centimeter': 'cm', 'centimeters': 'cm', 'centimetre': 'cm', 'centimetres': 'cm',
+        'meter': 'm', 'meters': 'm', 'metre': 'm', 'metres': 'm',
+        'qs': 'q',
+    };
+
+    unit = String(unit).toLowerCase();
+
+    return points[synonyms[unit] || unit];
+
+};
+
+/**
+ * Returns a distance, in points, from text such as "5", "5 mm"
+ * or "0.25in". Text without a unit is in `defaultUnit`.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {String} text - the text to parse.
+ * @param {String} [defaultUnit] - the unit of a plain number (default: 'pt').
+ * @returns {Number} - the distance in points, or NaN if the text is not a distance.
+ */
+function parseDistance(text, defaultUnit) {
+
+    // allow a decimal comma
+    var match = String(text).replace(',', '.').match(/^\s*([-+]?(?:\d+\.?\d*|\.\d+))\s*([a-z"]*)\.?\s*$/i);
+
+    if (!match)
+        return NaN;
+
+    var pointsPerUnit = getPointsPerUnit(match[2] || defaultUnit || 'pt');
+
+    if (undefined == pointsPerUnit)
+        return NaN;
+
+    return Number(match[1]) * pointsPerUnit;
+
+};
+
+/**
+ * Returns a distance, in points, as text in `unit`, eg. "5 mm".
+ * Small values keep `significantDigits`, so that they
+ * don't round to zero in large units, eg. 0.01 pt in metres.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Number} points - the distance, in points.
+ * @param {String} [unit] - the unit abbreviation (default: 'pt').
+ * @param {Number} [significantDigits] - the fewest significant digits to show (default: 4).
+ * @returns {String}
+ */
+function formatDistance(points, unit, significantDigits) {
+
+    unit = unit || 'pt';
+    significantDigits = significantDigits || 4;
+
+    var value = points / getPointsPerUnit(unit),
+
+        // larger units need more decimal places
+        decimalPlaces = { 'pt': 1, 'px': 1, 'pc': 2, 'q': 1, 'mm': 2, 'cm': 3, 'in': 3 }[unit] || 4;
+
+    if (
+        0 !== value
+        && isFinite(value)
+    )
+        decimalPlaces = Math.min(20, Math.max(decimalPlaces, significantDigits - 1 - Math.floor(Math.log(Math.abs(value)) / Math.LN10)));
+
+    // remove trailing zeros, without resorting to exponent notation
+    return value.toFixed(decimalPlaces).replace(/(\.\d*?)0+$/, '$1').replace(/\.$/, '') + ' ' + unit;
+
+};
+
 /**
  * Sort by left bounds.
  * @param {PageItem} a - item to sort.